@@ -0,0 +1,183 @@
+// Activity Heatmap - contribution calendar for the projects page
+// One cell per day for the last 53 weeks in Sunday-first columns (like a GitHub profile),
+// shaded in five levels. The SVG is a single image to assistive technology: its label
+// sums up the year, and a per-month table below holds the numbers.
+(function() {
+    'use strict';
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = window.I18nManager.tr;
+
+    const WEEKS = 53;
+    const CELL = 10; // px, in viewBox units
+    const GAP = 2;
+    const TOP = 14; // month labels
+    const LEFT = 26; // weekday labels
+    const LEVELS = 4;
+
+    // Same day keys as ProjectDataService.loadActivity
+    const toDayKey = window.ProjectDataService.toDayKey;
+
+    class ActivityHeatmap {
+        /**
+         * container: element to fill (hidden while there is nothing to show)
+         * renderer: ProjectCardRenderer, for provider labels and sanitizing
+         */
+        constructor(container, renderer) {
+            this.container = container;
+            this.renderer = renderer;
+            this.activity = null;
+        }
+
+        /**
+         * activity: ProjectDataService.loadActivity() result. Call again without arguments
+         * to re-render the last activity (e.g. after a language change).
+         */
+        render(activity = this.activity) {
+            this.activity = activity;
+
+            if (!activity || activity.sources.length === 0) {
+                this.container.textContent = '';
+                this.container.classList.add('hidden');
+                return;
+            }
+
+            const lang = window.i18n ? window.i18n.getLang() : 'en';
+            const calendar = this.getCalendar(activity.days);
+            const total = calendar.reduce((sum, day) => sum + day.count, 0);
+            const sources = activity.sources
+                .map(source => this.renderer.getProvider(source))
+                .filter(Boolean);
+
+            const summary = t('projects.activity.summary', '{count, plural, one {# contribution} other {# contributions}} in the last year on {sources}', {
+                count: total,
+                sources: sources.map(provider => provider.label).join(', ')
+            });
+
+            this.container.innerHTML = `
+                <h2 class="activity-heatmap__title" id="activity-title">${this.renderer.sanitizeText(t('projects.activity.title', 'Contribution activity'))}</h2>
+                <p class="activity-heatmap__summary" id="activity-summary">${this.renderer.sanitizeText(summary)}</p>
+                <div class="activity-heatmap__scroll">
+                    ${this.renderSVG(calendar, lang)}
+                </div>
+                ${this.renderLegend()}
+                ${sources.some(provider => provider.type === 'github') ? `
+                    <p class="activity-heatmap__note">${this.renderer.sanitizeText(t('projects.activity.githubNote', 'GitHub only shares the last 90 days of public events.'))}</p>
+                ` : ''}
+                <details class="activity-heatmap__details">
+                    <summary>${this.renderer.sanitizeText(t('projects.activity.showTable', 'Show as table'))}</summary>
+                    ${this.renderTable(calendar, lang)}
+                </details>
+            `;
+            this.container.classList.remove('hidden');
+        }
+
+        /**
+         * [{ date, key, count, week, weekday }] from the Sunday 52 weeks back to today
+         */
+        getCalendar(days) {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            const start = new Date(today);
+            start.setDate(start.getDate() - (WEEKS - 1) * 7 - start.getDay());
+
+            const calendar = [];
+            for (const date = new Date(start); date <= today; date.setDate(date.getDate() + 1)) {
+                const key = toDayKey(date);
+                calendar.push({
+                    date: new Date(date),
+                    key,
+                    count: days[key] || 0,
+                    week: Math.floor(calendar.length / 7),
+                    weekday: date.getDay()
+                });
+            }
+            return calendar;
+        }
+
+        renderSVG(calendar, lang) {
+            const max = Math.max(1, ...calendar.map(day => day.count));
+            const step = CELL + GAP;
+            const width = LEFT + WEEKS * step;
+            const height = TOP + 7 * step;
+
+            const cells = calendar.map(day => {
+                const level = day.count === 0 ? 0 : Math.ceil((day.count / max) * LEVELS);
+                const title = t('projects.activity.day', '{count, plural, one {# contribution} other {# contributions}} on {date, date, long}', {
+                    count: day.count,
+                    date: day.date
+                });
+                return `<rect class="activity-heatmap__cell" data-level="${level}" x="${LEFT + day.week * step}" y="${TOP + day.weekday * step}" width="${CELL}" height="${CELL}" rx="2"><title>${this.renderer.sanitizeText(title)}</title></rect>`;
+            }).join('');
+
+            // Month name above the column holding the 1st
+            const months = calendar
+                .filter(day => day.date.getDate() === 1)
+                .map(day => `<text class="activity-heatmap__label" x="${LEFT + day.week * step}" y="${TOP - 4}">${this.renderer.sanitizeText(day.date.toLocaleDateString(lang, { month: 'short' }))}</text>`)
+                .join('');
+
+            // Monday, Wednesday, Friday (7 January 2024 was a Sunday)
+            const weekdays = [1, 3, 5]
+                .map(weekday => `<text class="activity-heatmap__label" x="0" y="${TOP + weekday * step + CELL - 1}">${this.renderer.sanitizeText(new Date(2024, 0, 7 + weekday).toLocaleDateString(lang, { weekday: 'short' }))}</text>`)
+                .join('');
+
+            return `
+                <svg class="activity-heatmap__svg" viewBox="0 0 ${width} ${height}" role="img" aria-labelledby="activity-summary">
+                    ${months}
+                    ${weekdays}
+                    ${cells}
+                </svg>
+            `;
+        }
+
+        renderLegend() {
+            const levels = Array.from({ length: LEVELS + 1 }, (_, level) =>
+                `<svg class="activity-heatmap__swatch" viewBox="0 0 ${CELL} ${CELL}"><rect class="activity-heatmap__cell" data-level="${level}" width="${CELL}" height="${CELL}" rx="2"/></svg>`
+            ).join('');
+
+            return `
+                <div class="activity-heatmap__legend" aria-hidden="true">
+                    ${this.renderer.sanitizeText(t('projects.activity.less', 'Less'))}
+                    ${levels}
+                    ${this.renderer.sanitizeText(t('projects.activity.more', 'More'))}
+                </div>
+            `;
+        }
+
+        /**
+         * Contributions per month, oldest first
+         */
+        renderTable(calendar, lang) {
+            const months = new Map();
+            calendar.forEach(day => {
+                const key = day.key.slice(0, 7);
+                if (!months.has(key)) {
+                    months.set(key, { date: day.date, count: 0 });
+                }
+                months.get(key).count += day.count;
+            });
+
+            const rows = Array.from(months.values()).map(month => `
+                <tr>
+                    <th scope="row">${this.renderer.sanitizeText(month.date.toLocaleDateString(lang, { year: 'numeric', month: 'long' }))}</th>
+                    <td>${month.count}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <table class="activity-heatmap__table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${this.renderer.sanitizeText(t('projects.activity.month', 'Month'))}</th>
+                            <th scope="col">${this.renderer.sanitizeText(t('projects.activity.contributions', 'Contributions'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }
+    }
+
+    window.ActivityHeatmap = ActivityHeatmap;
+})();
@@ -0,0 +1,9 @@
+// Articles - the languages each article is available in
+// Keyed by file name without .html; the first language is the original (x-default).
+// Article pages only redirect to a translation listed here, and their hreflang links
+// and "Read in ..." links are built from it. A new translation goes in the article
+// folder of its language (see js/languages.js) and gets its code added here.
+window.ARTICLES = {
+    'polymer-wetting-dynamics': ['en', 'fr'],
+    'fan-2024-experience': ['en', 'fr']
+};
@@ -0,0 +1,537 @@
+// Forge Providers
+// One definition per forge API: listing URL, pagination, error mapping, normalization, icon,
+// the README / release / file URLs used by the project detail drawer, the events and weekly
+// commit counts behind the activity heatmap and card sparklines, and the latest tag and CI
+// status on cards.
+// ProjectDataService builds a provider for each { type, baseUrl, username } source entry.
+(function() {
+    'use strict';
+
+    const I18nManager = typeof window !== 'undefined' && window.I18nManager
+        ? window.I18nManager
+        : require('./i18n.js');
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = I18nManager.tr;
+
+    /**
+     * Parse an RFC 8288 Link header into a { rel: url } map
+     */
+    function parseLinkHeader(header) {
+        const links = {};
+        if (!header) return links;
+
+        header.split(',').forEach(part => {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+            if (match) {
+                match[2].split(/\s+/).forEach(rel => {
+                    links[rel] = match[1];
+                });
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Decode base64 file content (GitHub/Gitea contents API) as UTF-8
+     */
+    function decodeBase64(content) {
+        const binary = atob(content.replace(/\s/g, ''));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    // Release shape shared by GitHub and Gitea
+    function normalizeRelease(release) {
+        return {
+            name: release.name || release.tag_name,
+            tag: release.tag_name,
+            url: release.html_url,
+            published_at: release.published_at
+        };
+    }
+
+    /**
+     * Rate-limit failure; resetAt is when the limit lifts (ms timestamp, null if unknown)
+     */
+    class RateLimitError extends Error {
+        constructor(message, resetAt = null) {
+            super(message);
+            this.name = 'RateLimitError';
+            this.rateLimited = true;
+            this.resetAt = resetAt;
+        }
+    }
+
+    /**
+     * Seconds to wait from a Retry-After header (delay in seconds or an HTTP date), or null
+     */
+    function parseRetryAfter(response) {
+        const value = response.headers.get('Retry-After');
+        if (!value) return null;
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10);
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+    }
+
+    /**
+     * When a rate limit lifts: Retry-After, then X-RateLimit-Reset (GitHub, Gitea) or
+     * RateLimit-Reset (GitLab), which hold epoch seconds. Null when the response does not say.
+     */
+    function getRateLimitReset(response) {
+        const retryAfter = parseRetryAfter(response);
+        if (retryAfter !== null) {
+            return Date.now() + retryAfter * 1000;
+        }
+
+        const reset = response.headers.get('X-RateLimit-Reset') || response.headers.get('RateLimit-Reset');
+        const seconds = parseInt(reset, 10);
+        if (isNaN(seconds)) return null;
+
+        // Small values are a delay (IETF RateLimit fields) rather than a timestamp
+        return seconds > 1e9 ? seconds * 1000 : Date.now() + seconds * 1000;
+    }
+
+    /**
+     * 429, or a 403 whose headers say the quota is used up (GitHub's primary and
+     * secondary limits)
+     */
+    function isRateLimited(response) {
+        if (response.status === 429) return true;
+        return response.status === 403 &&
+            (response.headers.get('X-RateLimit-Remaining') === '0' || response.headers.has('Retry-After'));
+    }
+
+    // Generic status mapping shared by every forge
+    function checkStatus(label, response) {
+        if (isRateLimited(response)) {
+            const resetAt = getRateLimitReset(response);
+            let message = t('projects.error.rateLimit', '{source} API rate limit exceeded.', { source: label });
+            if (!resetAt) {
+                message += ' ' + t('projects.error.tryAgainLater', 'Please try again later.');
+            }
+            throw new RateLimitError(message, resetAt);
+        }
+
+        if (!response.ok) {
+            throw new Error(t('projects.error.apiError', '{source} API error: {status}', { source: label, status: response.status }));
+        }
+    }
+
+    /**
+     * Forge-specific run states -> 'success', 'failure', 'running', 'cancelled' or 'unknown'
+     */
+    function normalizeCIStatus(status) {
+        switch (status) {
+            case 'success':
+                return 'success';
+            case 'failure':
+            case 'failed':
+            case 'error':
+            case 'timed_out':
+            case 'startup_failure':
+                return 'failure';
+            case 'queued':
+            case 'in_progress':
+            case 'waiting':
+            case 'requested':
+            case 'pending':
+            case 'running':
+            case 'created':
+            case 'preparing':
+            case 'waiting_for_resource':
+                return 'running';
+            case 'cancelled':
+            case 'canceled':
+            case 'skipped':
+                return 'cancelled';
+            default:
+                return 'unknown';
+        }
+    }
+
+    const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+    /**
+     * Commit dates -> commits per week for the last 52 weeks, oldest week first
+     * (the shape of GitHub's stats/commit_activity totals)
+     */
+    function weeklyTotals(dates, now = Date.now()) {
+        const weeks = new Array(52).fill(0);
+        dates.forEach(value => {
+            const age = Math.floor((now - new Date(value).getTime()) / WEEK);
+            if (age >= 0 && age < weeks.length) {
+                weeks[weeks.length - 1 - age]++;
+            }
+        });
+        return weeks;
+    }
+
+    // "YYYY-MM-DD" a year ago, for APIs that take a start date
+    function yearAgo() {
+        return new Date(Date.now() - 52 * WEEK).toISOString().slice(0, 10);
+    }
+
+    const ICONS = {
+        github: `<svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12 0C5.37 0 0 5.37 0 12c0 5.31 3.435 9.795 8.205 11.385.6.105.825-.255.825-.57 0-.285-.015-1.23-.015-2.235-3.015.555-3.795-.735-4.035-1.41-.135-.345-.72-1.41-1.23-1.695-.42-.225-1.02-.78-.015-.795.945-.015 1.62.87 1.845 1.23 1.08 1.815 2.805 1.305 3.495.99.105-.78.42-1.305.765-1.605-2.67-.3-5.46-1.335-5.46-5.925 0-1.305.465-2.385 1.23-3.225-.12-.3-.54-1.53.12-3.18 0 0 1.005-.315 3.3 1.23.96-.27 1.98-.405 3-.405s2.04.135 3 .405c2.295-1.56 3.3-1.23 3.3-1.23.66 1.65.24 2.88.12 3.18.765.84 1.23 1.905 1.23 3.225 0 4.605-2.805 5.625-5.475 5.925.435.375.81 1.095.81 2.22 0 1.605-.015 2.895-.015 3.3 0 .315.225.69.825.57A12.02 12.02 0 0024 12c0-6.63-5.37-12-12-12z"/>
+        </svg>`,
+        gitlab: `<svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M23.955 13.587l-1.342-4.135-2.664-8.189a.455.455 0 0 0-.867 0L16.418 9.45H7.582L4.919 1.263a.455.455 0 0 0-.867 0L1.388 9.452.045 13.587a.924.924 0 0 0 .331 1.023L12 23.054l11.624-8.443a.924.924 0 0 0 .331-1.024"/>
+        </svg>`,
+        gitea: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round">
+            <path d="M3 7h14v6a5 5 0 0 1-5 5H8a5 5 0 0 1-5-5V7z"/>
+            <path d="M17 9h2a2 2 0 0 1 0 4h-2"/>
+            <path d="M8 11l2 2 3-4"/>
+        </svg>`,
+        forgejo: `<svg viewBox="0 0 212 212" fill="none" stroke="currentColor" stroke-width="25">
+            <path d="M58 168v-98a50 50 0 0 1 50-50h20"/>
+            <path d="M58 168v-30a50 50 0 0 1 50-50h20"/>
+            <circle cx="142" cy="20" r="18" stroke-width="15"/>
+            <circle cx="142" cy="88" r="18" stroke-width="15"/>
+            <circle cx="58" cy="180" r="18" stroke-width="15"/>
+        </svg>`,
+        codeberg: `<svg viewBox="0 0 24 24" fill="currentColor">
+            <path d="M12 2.5 1.5 20.5h21L12 2.5zm0 5.2 5.9 10.3H6.1L12 7.7z"/>
+            <path d="M12 11.5l2.6 4.5H9.4z"/>
+        </svg>`
+    };
+
+    /**
+     * Fill in id, label and profile URL common to every provider.
+     * Canonical hosts keep the bare type as id ("github"); self-hosted instances get
+     * "type:host" so several instances of one forge can be configured side by side.
+     */
+    function describe(config, type, label, defaultBaseUrl) {
+        const baseUrl = (config.baseUrl || defaultBaseUrl).replace(/\/+$/, '');
+        const host = new URL(baseUrl).host;
+        const isDefaultHost = baseUrl === defaultBaseUrl;
+
+        return {
+            id: config.id || (isDefaultHost ? type : `${type}:${host}`),
+            type,
+            label: config.label || (isDefaultHost ? label : `${label} (${host})`),
+            baseUrl,
+            username: config.username,
+            profileUrl: `${baseUrl}/${encodeURIComponent(config.username)}`,
+            icon: ICONS[type] || ICONS.gitea
+        };
+    }
+
+    function createGitHubProvider(config) {
+        const provider = describe(config, 'github', 'GitHub', 'https://github.com');
+        // github.com has its own API host, GitHub Enterprise serves it under /api/v3
+        const apiUrl = provider.baseUrl === 'https://github.com' ? 'https://api.github.com' : `${provider.baseUrl}/api/v3`;
+
+        return {
+            ...provider,
+            listUrl: `${apiUrl}/users/${encodeURIComponent(provider.username)}/repos?per_page=100&sort=updated`,
+
+            // Link: <...&page=2>; rel="next"
+            getNextUrl: (response) => parseLinkHeader(response.headers.get('Link')).next || null,
+
+            checkResponse: (response) => checkStatus(provider.label, response),
+
+            normalize: (repos) => repos
+                .filter(repo => !repo.fork)
+                .filter(repo => !repo.name.includes('.github.io'))
+                .map(repo => ({
+                    name: repo.name,
+                    description: repo.description,
+                    html_url: repo.html_url,
+                    homepage: repo.homepage,
+                    topics: repo.topics || [],
+                    language: repo.language,
+                    languages_url: repo.languages_url,
+                    api_url: repo.url,
+                    default_branch: repo.default_branch || null,
+                    license: repo.license ? (repo.license.spdx_id !== 'NOASSERTION' ? repo.license.spdx_id : repo.license.name) : null,
+                    open_issues_count: repo.open_issues_count,
+                    forks_count: repo.forks_count || 0,
+                    archived: Boolean(repo.archived),
+                    mirror_of: repo.mirror_url || null,
+                    stargazers_count: repo.stargazers_count,
+                    updated_at: repo.updated_at,
+                    created_at: repo.created_at,
+                    source: provider.id
+                })),
+
+            // Detail drawer: README, latest release and anything the listing lacks
+            getReadmeUrl: (project) => `${project.api_url}/readme`,
+            parseReadme: async (response) => {
+                const data = await response.json();
+                return { text: decodeBase64(data.content), path: data.path };
+            },
+            getReleaseUrl: (project) => `${project.api_url}/releases/latest`,
+            parseRelease: (release) => normalizeRelease(release),
+            getMetadataUrl: () => null,
+            parseMetadata: () => ({}),
+            getFileUrl: (project, path, raw) =>
+                `${project.html_url}/${raw ? 'raw' : 'blob'}/${project.default_branch || 'HEAD'}/${path}`,
+
+            // Activity: public events only reach back 90 days (300 events at most)
+            getEventsUrl: () => `${apiUrl}/users/${encodeURIComponent(provider.username)}/events/public?per_page=100`,
+            parseEvents: (events) => events.map(event => ({
+                date: event.created_at,
+                count: event.type === 'PushEvent' && event.payload ? event.payload.distinct_size || event.payload.size || 1 : 1
+            })),
+            // 202 with an empty body while GitHub computes the statistics
+            getCommitActivityUrl: (project) => `${project.api_url}/stats/commit_activity`,
+            parseCommitActivity: (weeks) => Array.isArray(weeks) && weeks.length > 0 ? weeks.map(week => week.total) : null,
+
+            // Latest tag, for cards of projects without releases (tags carry no date here)
+            getTagUrl: (project) => `${project.api_url}/tags?per_page=1`,
+            parseTag: (tags) => tags.length === 0 ? null : {
+                name: tags[0].name,
+                tag: tags[0].name,
+                url: null,
+                published_at: null
+            },
+
+            // CI: the latest GitHub Actions run on the default branch
+            getCIStatusUrl: (project) =>
+                `${project.api_url}/actions/runs?per_page=1${project.default_branch ? `&branch=${encodeURIComponent(project.default_branch)}` : ''}`,
+            parseCIStatus: (data) => {
+                const run = data.workflow_runs && data.workflow_runs[0];
+                if (!run) return null;
+                return {
+                    status: normalizeCIStatus(run.status === 'completed' ? run.conclusion : run.status),
+                    url: run.html_url,
+                    updated_at: run.updated_at
+                };
+            }
+        };
+    }
+
+    function createGitLabProvider(config) {
+        const provider = describe(config, 'gitlab', 'GitLab', 'https://gitlab.com');
+        const apiUrl = `${provider.baseUrl}/api/v4`;
+
+        return {
+            ...provider,
+            listUrl: `${apiUrl}/users/${encodeURIComponent(provider.username)}/projects?per_page=100&order_by=updated_at`,
+
+            // X-Next-Page (empty on the last page), X-Total-Pages as a fallback
+            getNextUrl: (response, currentUrl) => {
+                let nextPage = parseInt(response.headers.get('X-Next-Page'), 10);
+
+                if (!nextPage) {
+                    const page = parseInt(response.headers.get('X-Page'), 10);
+                    const totalPages = parseInt(response.headers.get('X-Total-Pages'), 10);
+                    nextPage = page && totalPages && page < totalPages ? page + 1 : null;
+                }
+
+                if (!nextPage) return null;
+
+                const next = new URL(currentUrl);
+                next.searchParams.set('page', nextPage);
+                return next.href;
+            },
+
+            checkResponse: (response) => checkStatus(provider.label, response),
+
+            normalize: (projects) => projects
+                // GitLab uses 'forked_from_project' instead of 'fork'
+                .filter(project => !project.forked_from_project)
+                .map(project => ({
+                    name: project.name,
+                    description: project.description || null,
+                    html_url: project.web_url,
+                    homepage: null,
+                    topics: project.topics || project.tag_list || [],
+                    language: null, // Filled in by loadLanguages()
+                    languages_url: `${apiUrl}/projects/${project.id}/languages`,
+                    api_url: `${apiUrl}/projects/${project.id}`,
+                    default_branch: project.default_branch || null,
+                    license: null, // Listings omit it, see getMetadataUrl()
+                    open_issues_count: project.open_issues_count,
+                    forks_count: project.forks_count || 0,
+                    archived: Boolean(project.archived),
+                    // Pull mirrors expose their upstream (only to members, credentials stripped)
+                    mirror_of: project.mirror ? project.import_url || null : null,
+                    stargazers_count: project.star_count || 0,
+                    updated_at: project.last_activity_at,
+                    created_at: project.created_at,
+                    source: provider.id
+                })),
+
+            getReadmeUrl: (project) =>
+                `${project.api_url}/repository/files/README.md/raw?ref=${encodeURIComponent(project.default_branch || 'HEAD')}`,
+            parseReadme: async (response) => ({ text: await response.text(), path: 'README.md' }),
+            // Releases are listed newest first
+            getReleaseUrl: (project) => `${project.api_url}/releases?per_page=1`,
+            parseRelease: (releases) => releases.length === 0 ? null : {
+                name: releases[0].name || releases[0].tag_name,
+                tag: releases[0].tag_name,
+                url: releases[0]._links ? releases[0]._links.self : null,
+                published_at: releases[0].released_at
+            },
+            getMetadataUrl: (project) => `${project.api_url}?license=true`,
+            parseMetadata: (data) => ({
+                license: data.license ? data.license.nickname || data.license.name : null
+            }),
+            getFileUrl: (project, path, raw) =>
+                `${project.html_url}/-/${raw ? 'raw' : 'blob'}/${project.default_branch || 'HEAD'}/${path}`,
+
+            getEventsUrl: () => `${apiUrl}/users/${encodeURIComponent(provider.username)}/events?per_page=100&after=${yearAgo()}`,
+            parseEvents: (events) => events.map(event => ({
+                date: event.created_at,
+                count: event.push_data ? event.push_data.commit_count || 1 : 1
+            })),
+            // No weekly statistics endpoint: bucket the last year's commits (first 100)
+            getCommitActivityUrl: (project) =>
+                `${project.api_url}/repository/commits?since=${yearAgo()}T00:00:00Z&per_page=100`,
+            parseCommitActivity: (commits) => Array.isArray(commits)
+                ? weeklyTotals(commits.map(commit => commit.committed_date || commit.created_at))
+                : null,
+
+            // Latest tag, for cards of projects without releases
+            getTagUrl: (project) => `${project.api_url}/repository/tags?per_page=1&order_by=updated`,
+            parseTag: (tags) => tags.length === 0 ? null : {
+                name: tags[0].name,
+                tag: tags[0].name,
+                url: null,
+                published_at: tags[0].commit ? tags[0].commit.created_at : null
+            },
+
+            // CI: the latest pipeline on the default branch
+            getCIStatusUrl: (project) =>
+                `${project.api_url}/pipelines?per_page=1${project.default_branch ? `&ref=${encodeURIComponent(project.default_branch)}` : ''}`,
+            parseCIStatus: (pipelines) => {
+                if (!Array.isArray(pipelines) || pipelines.length === 0) return null;
+                return {
+                    status: normalizeCIStatus(pipelines[0].status),
+                    url: pipelines[0].web_url,
+                    updated_at: pipelines[0].updated_at
+                };
+            }
+        };
+    }
+
+    /**
+     * Gitea and its fork Forgejo share one API (Codeberg runs Forgejo)
+     */
+    function createGiteaProvider(config, type = 'gitea', label = 'Gitea', defaultBaseUrl = 'https://gitea.com') {
+        const provider = describe(config, type, label, defaultBaseUrl);
+        const apiUrl = `${provider.baseUrl}/api/v1`;
+
+        return {
+            ...provider,
+            listUrl: `${apiUrl}/users/${encodeURIComponent(provider.username)}/repos?limit=50`,
+
+            // Link: <...&page=2>; rel="next"
+            getNextUrl: (response) => parseLinkHeader(response.headers.get('Link')).next || null,
+
+            checkResponse: (response) => checkStatus(provider.label, response),
+
+            normalize: (repos) => repos
+                .filter(repo => !repo.fork)
+                .map(repo => ({
+                    name: repo.name,
+                    description: repo.description || null,
+                    html_url: repo.html_url,
+                    homepage: repo.website || null,
+                    topics: repo.topics || [],
+                    language: repo.language || null,
+                    languages_url: repo.languages_url || `${apiUrl}/repos/${repo.full_name}/languages`,
+                    api_url: `${apiUrl}/repos/${repo.full_name}`,
+                    default_branch: repo.default_branch || null,
+                    license: repo.licenses && repo.licenses.length > 0 ? repo.licenses.join(', ') : null,
+                    open_issues_count: repo.open_issues_count,
+                    forks_count: repo.forks_count || 0,
+                    archived: Boolean(repo.archived),
+                    mirror_of: repo.mirror ? repo.original_url || null : null,
+                    stargazers_count: repo.stars_count || 0,
+                    updated_at: repo.updated_at,
+                    created_at: repo.created_at,
+                    source: provider.id
+                })),
+
+            getReadmeUrl: (project) => `${project.api_url}/contents/README.md`,
+            parseReadme: async (response) => {
+                const data = await response.json();
+                return { text: decodeBase64(data.content), path: data.path };
+            },
+            getReleaseUrl: (project) => `${project.api_url}/releases/latest`,
+            parseRelease: (release) => normalizeRelease(release),
+            getMetadataUrl: () => null,
+            parseMetadata: () => ({}),
+            getFileUrl: (project, path, raw) =>
+                `${project.html_url}/${raw ? 'raw' : 'src'}/branch/${project.default_branch || 'main'}/${path}`,
+
+            // Activity: the profile heatmap is already aggregated per day
+            getEventsUrl: () => `${apiUrl}/users/${encodeURIComponent(provider.username)}/heatmap`,
+            parseEvents: (heatmap) => heatmap.map(entry => ({
+                date: new Date(entry.timestamp * 1000).toISOString(),
+                count: entry.contributions
+            })),
+            getCommitActivityUrl: () => null,
+            parseCommitActivity: () => null,
+
+            // Latest tag, for cards of projects without releases
+            getTagUrl: (project) => `${project.api_url}/tags?limit=1`,
+            parseTag: (tags) => tags.length === 0 ? null : {
+                name: tags[0].name,
+                tag: tags[0].name,
+                url: null,
+                published_at: tags[0].commit ? tags[0].commit.created : null
+            },
+
+            // CI: combined commit status of the default branch (Actions and external CI report there)
+            getCIStatusUrl: (project) =>
+                `${project.api_url}/commits/${encodeURIComponent(project.default_branch || 'main')}/status`,
+            parseCIStatus: (combined) => {
+                if (!combined || !combined.total_count) return null;
+                return { status: normalizeCIStatus(combined.state), url: null, updated_at: null };
+            }
+        };
+    }
+
+    const registry = {
+        github: createGitHubProvider,
+        gitlab: createGitLabProvider,
+        gitea: (config) => createGiteaProvider(config),
+        forgejo: (config) => createGiteaProvider(config, 'forgejo', 'Forgejo', 'https://next.forgejo.org'),
+        codeberg: (config) => createGiteaProvider(config, 'codeberg', 'Codeberg', 'https://codeberg.org')
+    };
+
+    const ForgeProviders = {
+        /**
+         * Add or replace a forge type. factory(config) returns a provider object.
+         */
+        register(type, factory) {
+            registry[type] = factory;
+        },
+
+        create(config) {
+            const factory = registry[config.type];
+            if (!factory) {
+                throw new Error(`Unknown forge provider type: ${config.type}`);
+            }
+            if (!config.username) {
+                throw new Error(`Missing username for ${config.type} provider`);
+            }
+            return factory(config);
+        },
+
+        types() {
+            return Object.keys(registry);
+        },
+
+        RateLimitError,
+        parseRetryAfter,
+        getRateLimitReset
+    };
+
+    if (typeof window !== 'undefined') {
+        window.ForgeProviders = ForgeProviders;
+    }
+
+    // Export for Node scripts
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ForgeProviders;
+    }
+})();
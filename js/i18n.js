@@ -1,22 +1,92 @@
 // Internationalization (i18n) Manager
-// Supports English and French with browser detection and localStorage persistence
+// Supports the languages declared in js/languages.js, with browser detection,
+// localStorage persistence and a language picker in the navigation. A ?lang=fr
+// parameter selects the language of a shared link.
+// Messages use a subset of ICU MessageFormat (plural, selectordinal, select, number,
+// date, time and relative time arguments), formatted with Intl for the current language.
+// Debug mode (?i18n-debug, or localStorage "i18nDebug" set to "true") outlines elements
+// whose key has no translation and logs every missing key once.
+// Other scripts translate with window.i18n.tr(key, fallback, values), or I18nManager.tr
+// when they also run in Node.
 
 class I18nManager {
-    constructor() {
-        this.defaultLang = 'en';
-        this.supportedLangs = ['en', 'fr'];
+    /**
+     * options.detached: no page to translate (Node scripts); messages are only formatted,
+     * in the default language
+     */
+    constructor({ detached = false } = {}) {
+        const manifest = (!detached && window.LANGUAGES) || {
+            default: 'en',
+            languages: [{ code: 'en', label: 'English', ogLocale: 'en_US', articles: '', dir: 'ltr' }]
+        };
+        this.languages = manifest.languages;
+        this.defaultLang = manifest.default;
+        this.supportedLangs = this.languages.map(language => language.code);
+        this.articles = (!detached && window.ARTICLES) || {};
         this.translations = {};
-        this.currentLang = this.getInitialLanguage();
+        this.messages = new Map(); // message -> parsed parts
+        this.formatters = new Map(); // Intl formatters by type, language and options
+        this.currentLang = detached ? this.defaultLang : this.getInitialLanguage();
+        this.debug = !detached && this.isDebugEnabled();
+        this.missingKeys = new Set(); // "fr:nav.about", reported in debug mode
         this.isInitialized = false;
-        this.init();
+        if (!detached) {
+            this.init();
+        }
+    }
+
+    /**
+     * window.i18n, or where there is no page (Node scripts) a detached instance that
+     * formats in the default language
+     */
+    static get() {
+        if (typeof window !== 'undefined' && window.i18n) {
+            return window.i18n;
+        }
+        I18nManager.detached = I18nManager.detached || new I18nManager({ detached: true });
+        return I18nManager.detached;
+    }
+
+    /**
+     * tr() for code that also runs without a page (see get)
+     */
+    static tr(key, fallback, values) {
+        return I18nManager.get().tr(key, fallback, values);
+    }
+
+    /**
+     * Whether untranslated elements and keys should be reported (see top of file)
+     */
+    isDebugEnabled() {
+        try {
+            return new URLSearchParams(window.location.search).has('i18n-debug') ||
+                localStorage.getItem('i18nDebug') === 'true';
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
-     * Determine initial language from localStorage, browser, or default
+     * Language given by ?lang= in the URL, or null
+     */
+    getUrlLanguage() {
+        const param = new URLSearchParams(window.location.search).get('lang');
+        return this.supportedLangs.includes(param) ? param : null;
+    }
+
+    /**
+     * Determine initial language from the URL, localStorage, browser, or default
      */
     getInitialLanguage() {
         try {
-            // 1. Check localStorage
+            // 1. Check the URL (kept as the preference for the following pages)
+            const urlLang = this.getUrlLanguage();
+            if (urlLang) {
+                localStorage.setItem('language', urlLang);
+                return urlLang;
+            }
+
+            // 2. Check localStorage
             const savedLang = localStorage.getItem('language');
             if (savedLang && this.supportedLangs.includes(savedLang)) {
                 return savedLang;
@@ -28,17 +98,18 @@ class I18nManager {
                 localStorage.removeItem('language');
             }
 
-            // 2. Check browser language
-            const browserLang = navigator.language.split('-')[0];
-            if (this.supportedLangs.includes(browserLang)) {
+            // 3. Check browser language ("pt-BR" if listed, otherwise "pt")
+            const browserLang = [navigator.language, navigator.language.split('-')[0]]
+                .find(code => this.supportedLangs.includes(code));
+            if (browserLang) {
                 return browserLang;
             }
 
-            // 3. Fallback to default
+            // 4. Fallback to default
             return this.defaultLang;
         } catch (error) {
             console.error('Error reading language from localStorage:', error);
-            return this.defaultLang;
+            return this.getUrlLanguage() || this.defaultLang;
         }
     }
 
@@ -63,7 +134,9 @@ class I18nManager {
             console.log('[i18n] Translations applied to', document.querySelectorAll('[data-i18n]').length, 'elements');
 
             this.updateDocumentLang();
-            this.setupToggle();
+            this.setupPicker();
+            this.updateArticleTranslations();
+            this.updatePageLinks();
             this.isInitialized = true;
 
             // Mark elements as loaded to prevent FOUC
@@ -81,33 +154,159 @@ class I18nManager {
         }
     }
 
+    /**
+     * Manifest entry for a language code (the default language if unknown)
+     */
+    getLanguage(code = this.currentLang) {
+        return this.languages.find(language => language.code === code) ||
+            this.languages.find(language => language.code === this.defaultLang);
+    }
+
+    /**
+     * Where an article page is: { root, lang, file } for ".../articles/fr/slug.html" is
+     * { root: ".../articles/", lang: "fr", file: "slug.html" }. Articles in a language
+     * with an empty articles folder sit in articles/ itself. null outside articles.
+     */
+    getArticleLocation() {
+        const path = window.location.pathname;
+        const index = path.indexOf('/articles/');
+        if (index === -1) return null;
+
+        const root = path.slice(0, index + '/articles/'.length);
+        const rest = path.slice(root.length);
+        const folder = rest.includes('/') ? rest.slice(0, rest.indexOf('/')) : '';
+        const language = this.languages.find(entry => entry.articles === folder);
+
+        if (!language) return null;
+        return { root, lang: language.code, file: folder ? rest.slice(folder.length + 1) : rest };
+    }
+
+    /**
+     * Languages an article is available in, from js/articles.js. An article missing from
+     * the manifest is only assumed to exist in the language it was opened in.
+     */
+    getArticleTranslations(location) {
+        const slug = location.file.replace(/\.html$/, '');
+        const translations = (this.articles[slug] || [location.lang])
+            .filter(code => typeof this.getLanguage(code).articles === 'string' && this.supportedLangs.includes(code));
+        return translations.length > 0 ? translations : [location.lang];
+    }
+
+    /**
+     * Path of the article at location in another language
+     */
+    getArticlePath(location, lang) {
+        const folder = this.getLanguage(lang).articles;
+        return `${location.root}${folder ? `${folder}/` : ''}${location.file}`;
+    }
+
     /**
      * Check if we need to redirect to the correct article language version
      * Returns true if redirecting (caller should stop execution)
      */
     shouldRedirectArticle() {
-        const path = window.location.pathname;
+        const location = this.getArticleLocation();
+        if (!location || location.lang === this.currentLang) return false;
+
+        // Untranslated articles stay as they are, with a notice (see updateArticleTranslations)
+        if (!this.getArticleTranslations(location).includes(this.currentLang)) return false;
+
+        const path = this.getArticlePath(location, this.currentLang);
+        console.log('[i18n] Redirecting to article in', this.currentLang + ':', path);
+        window.location.replace(path);
+        return true;
+    }
+
+    /**
+     * Replace the canonical link and the hreflang alternates in <head>
+     * alternates: [{ lang, href }]; xDefault: URL for other languages
+     */
+    setHeadLinks(canonical, alternates, xDefault) {
+        document.head.querySelectorAll('link[rel="canonical"], link[rel="alternate"][hreflang]').forEach(link => link.remove());
+
+        const addLink = (attributes) => {
+            const link = document.createElement('link');
+            Object.keys(attributes).forEach(name => link.setAttribute(name, attributes[name]));
+            document.head.appendChild(link);
+        };
+
+        addLink({ rel: 'canonical', href: canonical });
+        alternates.forEach(({ lang, href }) => addLink({ rel: 'alternate', hreflang: lang, href }));
+        addLink({ rel: 'alternate', hreflang: 'x-default', href: xDefault });
+    }
+
+    /**
+     * Name of a language in the current language ("French", "anglais"), or its label
+     */
+    getLanguageName(code) {
+        try {
+            return this.getFormatter('DisplayNames', { type: 'language' }).of(code);
+        } catch (error) {
+            return this.getLanguage(code).label;
+        }
+    }
+
+    /**
+     * On article pages: canonical and hreflang links for the available translations,
+     * "Read in ..." links to them, and a notice when the article is not available in the
+     * current language (offering to switch to the language it is written in).
+     */
+    updateArticleTranslations() {
+        const location = this.getArticleLocation();
+        if (!location) return;
+
+        const translations = this.getArticleTranslations(location);
+        const origin = window.location.origin;
+
+        this.setHeadLinks(
+            origin + this.getArticlePath(location, location.lang),
+            translations.map(lang => ({ lang, href: origin + this.getArticlePath(location, lang) })),
+            origin + this.getArticlePath(location, translations[0])
+        );
+
+        const container = document.querySelector('.article__translations');
+        if (!container) return;
+        container.textContent = '';
+
+        if (location.lang !== this.currentLang) {
+            const notice = document.createElement('p');
+            notice.className = 'article__translation-notice';
+            notice.setAttribute('role', 'note');
+            notice.textContent = this.t('articles.notTranslated', {
+                language: this.getLanguageName(this.currentLang),
+                original: this.getLanguageName(location.lang)
+            }) + ' ';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'article__translation-switch';
+            button.textContent = this.t('articles.switchTo', { language: this.getLanguageName(location.lang) });
+            button.addEventListener('click', () => this.switchLanguage(location.lang));
+            notice.appendChild(button);
+
+            container.appendChild(notice);
+        }
 
-        // Only handle article pages
-        if (!path.includes('/articles/')) return false;
-
-        const isInFrenchPath = path.includes('/articles/fr/');
-
-        if (this.currentLang === 'fr' && !isInFrenchPath) {
-            // User wants French but on English article - redirect
-            const frPath = path.replace('/articles/', '/articles/fr/');
-            console.log('[i18n] Redirecting to French article:', frPath);
-            window.location.replace(frPath);
-            return true;
-        } else if (this.currentLang === 'en' && isInFrenchPath) {
-            // User wants English but on French article - redirect
-            const enPath = path.replace('/articles/fr/', '/articles/');
-            console.log('[i18n] Redirecting to English article:', enPath);
-            window.location.replace(enPath);
-            return true;
+        const others = translations.filter(lang => lang !== location.lang);
+        if (others.length > 0) {
+            const links = document.createElement('p');
+            links.className = 'article__translation-links';
+            others.forEach(lang => {
+                const link = document.createElement('a');
+                link.href = this.getArticlePath(location, lang);
+                link.hreflang = lang;
+                link.textContent = this.t('articles.readInOtherLang', { language: this.getLanguageName(lang) });
+                // Reading a translation also switches the site to its language
+                link.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.switchLanguage(lang);
+                });
+                links.appendChild(link);
+            });
+            container.appendChild(links);
         }
 
-        return false;
+        container.hidden = container.childElementCount === 0;
     }
 
     /**
@@ -139,17 +338,14 @@ class I18nManager {
      */
     getBasePath() {
         const path = window.location.pathname;
+        const index = path.indexOf('/articles/');
 
-        // Check if we're in articles/fr/ (2 levels deep)
-        if (path.includes('/articles/fr/')) {
-            return '../../';
-        }
-        // Check if we're in articles/ (1 level deep)
-        if (path.includes('/articles/')) {
-            return '../';
-        }
         // Root level (index.html, projects.html, etc.)
-        return './';
+        if (index === -1) return './';
+
+        // One level up per folder: articles/slug.html -> ../, articles/fr/slug.html -> ../../
+        const depth = path.slice(index + 1).split('/').length - 1;
+        return '../'.repeat(depth);
     }
 
     /**
@@ -184,10 +380,16 @@ class I18nManager {
      * Apply translations to all elements with data-i18n attributes
      */
     applyTranslations() {
+        if (this.debug) {
+            document.documentElement.setAttribute('data-i18n-debug', '');
+            document.querySelectorAll('[data-i18n-missing]').forEach(el => el.removeAttribute('data-i18n-missing'));
+        }
+
         // Translate text content
         document.querySelectorAll('[data-i18n]').forEach(el => {
             const key = el.getAttribute('data-i18n');
             const translation = this.t(key);
+            this.markMissing(el, key, translation);
             if (translation) {
                 // Check if translation contains HTML (for <strong> tags etc.)
                 if (translation.includes('<')) {
@@ -203,6 +405,7 @@ class I18nManager {
         document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
             const key = el.getAttribute('data-i18n-placeholder');
             const translation = this.t(key);
+            this.markMissing(el, key, translation);
             if (translation) {
                 el.placeholder = translation;
             }
@@ -212,6 +415,7 @@ class I18nManager {
         document.querySelectorAll('[data-i18n-aria]').forEach(el => {
             const key = el.getAttribute('data-i18n-aria');
             const translation = this.t(key);
+            this.markMissing(el, key, translation);
             if (translation) {
                 el.setAttribute('aria-label', translation);
             }
@@ -221,6 +425,7 @@ class I18nManager {
         document.querySelectorAll('[data-i18n-title]').forEach(el => {
             const key = el.getAttribute('data-i18n-title');
             const translation = this.t(key);
+            this.markMissing(el, key, translation);
             if (translation) {
                 el.setAttribute('title', translation);
             }
@@ -241,19 +446,273 @@ class I18nManager {
     }
 
     /**
-     * Get translation by dot-notation key (e.g., "nav.about")
+     * In debug mode, flag an element whose key has no translation (data-i18n-missing
+     * lists its missing keys)
+     */
+    markMissing(el, key, translation) {
+        if (!this.debug || translation) return;
+
+        const missing = el.getAttribute('data-i18n-missing');
+        el.setAttribute('data-i18n-missing', missing ? `${missing} ${key}` : key);
+    }
+
+    /**
+     * Translation of key, or the (English) fallback formatted the same way when the
+     * current language has no such key
+     */
+    tr(key, fallback, values = {}) {
+        return this.t(key, values) || this.format(fallback, values);
+    }
+
+    /**
+     * Get translation by dot-notation key (e.g., "nav.about"), formatted with the given
+     * values (see format)
      */
     t(key, replacements = {}) {
         const value = this.getNestedValue(this.translations, key);
-        if (!value) return null;
+        if (!value) {
+            if (this.debug && !this.missingKeys.has(`${this.currentLang}:${key}`)) {
+                this.missingKeys.add(`${this.currentLang}:${key}`);
+                console.warn(`[i18n] Missing translation in ${this.currentLang}:`, key);
+            }
+            return null;
+        }
+        if (typeof value !== 'string') return value;
 
-        // Handle replacements like {minutes}
-        let result = value;
-        Object.keys(replacements).forEach(placeholder => {
-            result = result.replace(`{${placeholder}}`, replacements[placeholder]);
-        });
+        return this.format(value, replacements);
+    }
+
+    /**
+     * Format a message in the current language:
+     *   {name}                                     the value as is
+     *   {n, number}  {n, number, integer|percent|compact}
+     *   {d, date}    {d, date, short|medium|long|full}   (also time)
+     *   {d, relativetime}                          "3 days ago" from a date, best unit
+     *   {n, relativetime, day}                     "in 2 days" from a number of units
+     *   {n, plural, =0 {none} one {# project} other {# projects}}   # is n, formatted
+     *   {n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+     *   {x, select, github {GitHub} other {a forge}}
+     * Every occurrence is replaced. Arguments without a value are kept as written.
+     * '{' quotes literal braces, '' is an apostrophe.
+     */
+    format(message, values = {}) {
+        if (!this.messages.has(message)) {
+            let parts;
+            try {
+                parts = this.parseMessage(message);
+            } catch (error) {
+                console.warn('[i18n] Invalid message, shown as is:', message, error.message);
+                parts = [message];
+            }
+            this.messages.set(message, parts);
+        }
 
-        return result;
+        return this.formatParts(this.messages.get(message), values, null);
+    }
+
+    /**
+     * Message -> parts: strings, { pound: true } for # and
+     * { name, type, style, options, source } for arguments (options maps plural and
+     * select keys to parts)
+     */
+    parseMessage(message) {
+        let pos = 0;
+
+        const readUntil = (stops) => {
+            const start = pos;
+            while (pos < message.length && !stops.includes(message[pos])) pos++;
+            if (pos >= message.length) throw new Error(`Unclosed argument at ${start}`);
+            return message.slice(start, pos).trim();
+        };
+
+        const skipSpace = () => {
+            while (/\s/.test(message[pos] || '')) pos++;
+        };
+
+        const parseParts = (inPlural) => {
+            const parts = [];
+            let text = '';
+            const flush = () => {
+                if (text) parts.push(text);
+                text = '';
+            };
+
+            while (pos < message.length) {
+                const char = message[pos];
+                const next = message[pos + 1];
+
+                if (char === "'" && next === "'") {
+                    text += "'";
+                    pos += 2;
+                } else if (char === "'" && (next === '{' || next === '}' || (inPlural && next === '#'))) {
+                    // Quoted literal up to the next apostrophe
+                    const end = message.indexOf("'", pos + 1);
+                    text += message.slice(pos + 1, end === -1 ? message.length : end);
+                    pos = end === -1 ? message.length : end + 1;
+                } else if (char === '{') {
+                    flush();
+                    parts.push(parseArgument(inPlural));
+                } else if (char === '}') {
+                    break;
+                } else if (char === '#' && inPlural) {
+                    flush();
+                    parts.push({ pound: true });
+                    pos++;
+                } else {
+                    text += char;
+                    pos++;
+                }
+            }
+
+            flush();
+            return parts;
+        };
+
+        const parseArgument = (inPlural) => {
+            const start = pos;
+            pos++;
+            const argument = { name: readUntil([',', '}']), type: null, style: null, options: null };
+
+            if (message[pos] === ',') {
+                pos++;
+                argument.type = readUntil([',', '}']).toLowerCase();
+
+                if (['plural', 'selectordinal', 'select'].includes(argument.type)) {
+                    if (message[pos] !== ',') throw new Error(`Missing ${argument.type} options at ${start}`);
+                    pos++;
+                    argument.options = {};
+
+                    skipSpace();
+                    while (message[pos] !== '}') {
+                        const key = readUntil(['{', ' ', '\t', '\n']);
+                        skipSpace();
+                        if (message[pos] !== '{') throw new Error(`Missing {...} after "${key}" at ${pos}`);
+                        pos++;
+                        // # belongs to the closest plural, also inside a nested select
+                        argument.options[key] = parseParts(argument.type === 'select' ? inPlural : true);
+                        if (message[pos] !== '}') throw new Error(`Unclosed option "${key}" at ${pos}`);
+                        pos++;
+                        skipSpace();
+                        if (pos >= message.length) throw new Error(`Unclosed argument at ${start}`);
+                    }
+                    if (!argument.options.other) throw new Error(`Missing "other" option at ${start}`);
+                } else if (message[pos] === ',') {
+                    pos++;
+                    argument.style = readUntil(['}']);
+                }
+            }
+
+            pos++; // closing brace
+            argument.source = message.slice(start, pos);
+            return argument;
+        };
+
+        const parts = parseParts(false);
+        if (pos < message.length) throw new Error(`Unexpected } at ${pos}`);
+        return parts;
+    }
+
+    formatParts(parts, values, pluralValue) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+            if (part.pound) return pluralValue === null ? '#' : this.formatNumber(pluralValue);
+
+            const value = values[part.name];
+            if (value === undefined || value === null) return part.source;
+
+            switch (part.type) {
+                case null:
+                    return String(value);
+                case 'number':
+                    return this.formatNumber(value, part.style);
+                case 'date':
+                case 'time':
+                    return this.formatDate(value, part.type, part.style);
+                case 'relativetime':
+                    return this.formatRelativeTime(value, part.style);
+                case 'plural':
+                case 'selectordinal': {
+                    const number = Number(value);
+                    const rules = this.getFormatter('PluralRules', { type: part.type === 'plural' ? 'cardinal' : 'ordinal' });
+                    const option = part.options[`=${number}`] || part.options[rules.select(number)] || part.options.other;
+                    return this.formatParts(option, values, number);
+                }
+                case 'select':
+                    return this.formatParts(part.options[String(value)] || part.options.other, values, pluralValue);
+                default:
+                    return String(value);
+            }
+        }).join('');
+    }
+
+    /**
+     * Cached Intl formatter for the current language
+     */
+    getFormatter(type, options = {}) {
+        const key = `${type}|${this.currentLang}|${JSON.stringify(options)}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl[type](this.currentLang, options));
+        }
+        return this.formatters.get(key);
+    }
+
+    formatNumber(value, style) {
+        const options = {
+            integer: { maximumFractionDigits: 0 },
+            percent: { style: 'percent' },
+            compact: { notation: 'compact' }
+        }[style] || {};
+
+        const number = Number(value);
+        return isNaN(number) ? String(value) : this.getFormatter('NumberFormat', options).format(number);
+    }
+
+    formatDate(value, type, style) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date)) return String(value);
+
+        const styles = ['short', 'medium', 'long', 'full'];
+        const options = type === 'time'
+            ? { timeStyle: styles.includes(style) ? style : 'short' }
+            : { dateStyle: styles.includes(style) ? style : 'medium' };
+        return this.getFormatter('DateTimeFormat', options).format(date);
+    }
+
+    /**
+     * A number of units when a unit is given, otherwise a date relative to now in the
+     * largest unit that fits ("yesterday", "3 weeks ago", "in 2 hours")
+     */
+    formatRelativeTime(value, unit) {
+        if (unit) {
+            const number = Number(value);
+            return isNaN(number) || !Intl.RelativeTimeFormat
+                ? String(value)
+                : this.getFormatter('RelativeTimeFormat', { numeric: 'auto' }).format(number, unit);
+        }
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date)) return String(value);
+
+        // Plain date where Intl.RelativeTimeFormat is missing
+        if (!Intl.RelativeTimeFormat) {
+            return this.formatDate(date, 'date', 'medium');
+        }
+
+        const formatter = this.getFormatter('RelativeTimeFormat', { numeric: 'auto' });
+
+        // Largest first
+        const units = [
+            ['year', 365 * 24 * 60 * 60],
+            ['month', 30 * 24 * 60 * 60],
+            ['week', 7 * 24 * 60 * 60],
+            ['day', 24 * 60 * 60],
+            ['hour', 60 * 60],
+            ['minute', 60],
+            ['second', 1]
+        ];
+        const seconds = (date.getTime() - Date.now()) / 1000;
+        const [bestUnit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
+        return formatter.format(Math.trunc(seconds / size), bestUnit);
     }
 
     /**
@@ -267,19 +726,21 @@ class I18nManager {
      * Update document language attribute and meta tags
      */
     updateDocumentLang() {
-        // Update html lang attribute
+        const language = this.getLanguage();
+
+        // Update html lang and dir attributes
         document.documentElement.lang = this.currentLang;
         document.documentElement.setAttribute('data-lang', this.currentLang);
+        document.documentElement.dir = language.dir || 'ltr';
 
         // Update OG locale
         const ogLocale = document.querySelector('meta[property="og:locale"]');
-        const locale = this.currentLang === 'fr' ? 'fr_FR' : 'en_US';
-        if (ogLocale) {
-            ogLocale.setAttribute('content', locale);
+        if (ogLocale && language.ogLocale) {
+            ogLocale.setAttribute('content', language.ogLocale);
         }
 
-        // Update lang toggle button text
-        this.updateToggleState();
+        // Update language picker state
+        this.updatePickerState();
     }
 
     /**
@@ -320,6 +781,10 @@ class I18nManager {
         // Handle article page switching
         this.handleArticleSwitch();
 
+        // Keep the language in the URL of other pages, so links can be shared
+        this.updateLanguageUrl();
+        this.updatePageLinks();
+
         // Dispatch event for other scripts
         window.dispatchEvent(new CustomEvent('i18n:changed', {
             detail: { lang: this.currentLang }
@@ -327,42 +792,132 @@ class I18nManager {
         console.log('[i18n] Switch complete');
     }
 
+    /**
+     * Set ?lang= in the address bar, without a new history entry. Articles are left
+     * alone: their folder gives their language.
+     */
+    updateLanguageUrl() {
+        if (this.getArticleLocation()) return;
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('lang', this.currentLang);
+
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    /**
+     * On pages other than articles: an hreflang alternate per language (?lang=), the
+     * plain URL being x-default. canonical and og:url are the address as opened: the
+     * plain URL stays its own canonical, ?lang=fr points at ?lang=fr.
+     * Articles get theirs from updateArticleTranslations.
+     */
+    updatePageLinks() {
+        if (this.getArticleLocation()) return;
+
+        const base = window.location.origin + window.location.pathname;
+        const forLang = lang => `${base}?lang=${encodeURIComponent(lang)}`;
+        const urlLang = this.getUrlLanguage();
+        const canonical = urlLang ? forLang(urlLang) : base;
+
+        this.setHeadLinks(
+            canonical,
+            this.supportedLangs.map(lang => ({ lang, href: forLang(lang) })),
+            base
+        );
+
+        const ogUrl = document.querySelector('meta[property="og:url"]');
+        if (ogUrl) {
+            ogUrl.setAttribute('content', canonical);
+        }
+    }
+
     /**
      * Handle redirecting to translated article version (called on language switch)
      */
     handleArticleSwitch() {
-        this.shouldRedirectArticle();
+        if (!this.shouldRedirectArticle()) {
+            this.updateArticleTranslations();
+        }
     }
 
     /**
-     * Setup language toggle button
+     * Fill the <details class="lang-picker"> menus with one option per language.
+     * Escape closes a menu and returns focus to its toggle; so does picking a language.
      */
-    setupToggle() {
-        const toggles = document.querySelectorAll('.lang-toggle');
-        toggles.forEach(toggle => {
-            toggle.addEventListener('click', () => {
-                const newLang = this.currentLang === 'en' ? 'fr' : 'en';
-                this.switchLanguage(newLang);
+    setupPicker() {
+        document.querySelectorAll('.lang-picker').forEach(picker => {
+            picker.textContent = '';
+
+            const summary = document.createElement('summary');
+            summary.className = 'lang-picker__toggle';
+            picker.appendChild(summary);
+
+            const list = document.createElement('ul');
+            list.className = 'lang-picker__list';
+            this.languages.forEach(language => {
+                const item = document.createElement('li');
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'lang-picker__option';
+                option.dataset.lang = language.code;
+                // Each name is shown in its own language
+                option.lang = language.code;
+                option.dir = language.dir || 'ltr';
+                option.textContent = language.label;
+                item.appendChild(option);
+                list.appendChild(item);
+            });
+            picker.appendChild(list);
+
+            picker.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-lang]');
+                if (!option) return;
+
+                picker.open = false;
+                summary.focus();
+                this.switchLanguage(option.dataset.lang);
+            });
+
+            picker.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && picker.open) {
+                    picker.open = false;
+                    summary.focus();
+                }
+            });
+
+            document.addEventListener('click', (e) => {
+                if (picker.open && !picker.contains(e.target)) {
+                    picker.open = false;
+                }
             });
         });
 
-        this.updateToggleState();
+        this.updatePickerState();
     }
 
     /**
-     * Update toggle button display state
+     * Show the current language on each picker toggle and mark it in the list
      */
-    updateToggleState() {
-        const toggles = document.querySelectorAll('.lang-toggle');
-        toggles.forEach(toggle => {
-            // Show the TARGET language (what user will switch TO when clicking)
-            const targetLang = this.currentLang === 'en' ? 'fr' : 'en';
-            const label = targetLang.toUpperCase();
-            const ariaLabel = this.t('nav.switchLang') ||
-                (this.currentLang === 'en' ? 'Passer en français' : 'Switch to English');
+    updatePickerState() {
+        const language = this.getLanguage();
+        const label = this.t('nav.language') || 'Language';
+
+        document.querySelectorAll('.lang-picker').forEach(picker => {
+            const summary = picker.querySelector('.lang-picker__toggle');
+            if (!summary) return;
+
+            summary.textContent = this.currentLang.toUpperCase();
+            summary.setAttribute('aria-label', `${label}: ${language.label}`);
 
-            toggle.textContent = label;
-            toggle.setAttribute('aria-label', ariaLabel);
+            picker.querySelectorAll('[data-lang]').forEach(option => {
+                if (option.dataset.lang === this.currentLang) {
+                    option.setAttribute('aria-current', 'true');
+                } else {
+                    option.removeAttribute('aria-current');
+                }
+            });
         });
     }
 
@@ -382,7 +937,10 @@ class I18nManager {
 }
 
 // Create global instance
-window.i18n = new I18nManager();
+if (typeof window !== 'undefined') {
+    window.I18nManager = I18nManager;
+    window.i18n = new I18nManager();
+}
 
 // Export for module usage if needed
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,293 @@
+// Keyed List - incremental rendering of a list of HTML items into a container
+//
+// update(items) reuses the DOM node of every item whose key and HTML are unchanged, only
+// inserting, replacing, removing and moving what differs, and animates moved nodes from
+// their old position (FLIP). Above virtualizeAbove items only the rows around the viewport
+// are in the DOM; padding on the container stands in for the rest. Rows are assumed to be
+// those of a CSS grid (or a single column), with heights estimated from rendered rows.
+(function() {
+    'use strict';
+
+    const ANIMATION_DURATION = 250; // ms
+    const OVERSCAN_ROWS = 2;
+
+    function prefersReducedMotion() {
+        return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    function isInViewport(rect) {
+        return rect.bottom > 0 && rect.top < window.innerHeight;
+    }
+
+    class KeyedList {
+        /**
+         * container: element whose children are the rendered items
+         * options.getKey(item): stable unique key
+         * options.render(item): HTML string with a single root element ('' to skip the item)
+         * options.virtualizeAbove: item count from which the list is windowed
+         * options.estimatedRowHeight: row height (px) used until rows have been measured
+         */
+        constructor(container, { getKey, render, virtualizeAbove = 150, estimatedRowHeight = 320 }) {
+            this.container = container;
+            this.getKey = getKey;
+            this.renderItem = render;
+            this.virtualizeAbove = virtualizeAbove;
+            this.rowHeight = estimatedRowHeight;
+
+            this.items = [];
+            this.nodes = new Map(); // key -> { node, html }
+            this.virtualized = false;
+            this.frame = null;
+
+            this.onScroll = () => {
+                if (this.frame) return;
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    this.renderWindow(false);
+                });
+            };
+        }
+
+        /**
+         * Render items, animating nodes that change position
+         */
+        update(items) {
+            this.items = items;
+            const virtualize = items.length > this.virtualizeAbove;
+
+            if (virtualize !== this.virtualized) {
+                this.virtualized = virtualize;
+                if (virtualize) {
+                    window.addEventListener('scroll', this.onScroll, { passive: true });
+                    window.addEventListener('resize', this.onScroll, { passive: true });
+                } else {
+                    this.stopWindowing();
+                }
+            }
+
+            if (virtualize) {
+                this.renderWindow(true);
+            } else {
+                this.patch(items, true);
+            }
+        }
+
+        /**
+         * Forget rendered nodes, e.g. after the container was filled by other means
+         */
+        reset() {
+            this.stopWindowing();
+            this.virtualized = false;
+            this.nodes.clear();
+            this.items = [];
+        }
+
+        stopWindowing() {
+            window.removeEventListener('scroll', this.onScroll);
+            window.removeEventListener('resize', this.onScroll);
+            if (this.frame) {
+                cancelAnimationFrame(this.frame);
+                this.frame = null;
+            }
+            this.container.style.paddingTop = '';
+            this.container.style.paddingBottom = '';
+        }
+
+        /**
+         * Column count of the container's grid (1 when it is not a grid)
+         */
+        getColumns() {
+            const columns = getComputedStyle(this.container).gridTemplateColumns;
+            if (!columns || columns === 'none') return 1;
+            return Math.max(1, columns.split(' ').filter(Boolean).length);
+        }
+
+        /**
+         * Estimated distance (px) from one row to the next
+         */
+        getRowHeight() {
+            const rowGap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+            return this.rowHeight + rowGap;
+        }
+
+        /**
+         * Scroll the row of items[index] to the top of the viewport and render it right
+         * away, so it can be focused. Only needed (and only does anything) when windowed.
+         */
+        scrollToIndex(index) {
+            if (!this.virtualized || index < 0 || index >= this.items.length) return;
+
+            const row = Math.floor(index / this.getColumns());
+            const top = this.container.getBoundingClientRect().top;
+            window.scrollTo({ top: window.scrollY + top + row * this.getRowHeight(), behavior: 'instant' });
+            this.renderWindow(false);
+        }
+
+        /**
+         * Render the rows around the viewport. animate is false while scrolling.
+         */
+        renderWindow(animate) {
+            const columns = this.getColumns();
+            const totalRows = Math.ceil(this.items.length / columns);
+            const rowHeight = this.getRowHeight();
+
+            // Distance from the top of the list (excluding the spacer) to the viewport edges
+            const top = this.container.getBoundingClientRect().top;
+            const startRow = Math.max(0, Math.floor(-top / rowHeight) - OVERSCAN_ROWS);
+            const endRow = Math.min(totalRows, Math.ceil((window.innerHeight - top) / rowHeight) + OVERSCAN_ROWS);
+
+            this.patch(this.items.slice(startRow * columns, Math.max(startRow, endRow) * columns), animate);
+
+            this.container.style.paddingTop = `${startRow * rowHeight}px`;
+            this.container.style.paddingBottom = `${Math.max(0, totalRows - endRow) * rowHeight}px`;
+            this.measureRows(columns);
+        }
+
+        /**
+         * Refine the row height estimate from the rendered rows
+         */
+        measureRows(columns) {
+            const children = Array.from(this.container.children);
+            if (children.length === 0) return;
+
+            const heights = [];
+            for (let i = 0; i < children.length; i += columns) {
+                const row = children.slice(i, i + columns);
+                heights.push(Math.max(...row.map(child => child.offsetHeight)));
+            }
+
+            const average = heights.reduce((sum, height) => sum + height, 0) / heights.length;
+            if (average > 0) {
+                this.rowHeight = average;
+            }
+        }
+
+        createNode(html) {
+            const template = document.createElement('template');
+            template.innerHTML = html.trim();
+            return template.content.firstElementChild;
+        }
+
+        /**
+         * Make the container's children exactly the given items, in order
+         */
+        patch(items, animate) {
+            const animateMoves = animate && !prefersReducedMotion() && typeof Element.prototype.animate === 'function';
+            const active = document.activeElement;
+
+            // First: where reused nodes are now
+            const before = new Map();
+            if (animateMoves) {
+                this.nodes.forEach(({ node }, key) => {
+                    if (node.isConnected) before.set(key, node.getBoundingClientRect());
+                });
+            }
+
+            const next = new Map();
+            const ordered = [];
+
+            items.forEach(item => {
+                const key = this.getKey(item);
+                if (next.has(key)) return;
+
+                const html = this.renderItem(item);
+                if (!html) return;
+
+                const existing = this.nodes.get(key);
+                let node;
+
+                if (existing && existing.html === html) {
+                    node = existing.node;
+                } else {
+                    node = this.createNode(html);
+                    if (!node) return;
+                    if (existing) {
+                        this.restoreFocus(existing.node, node, active);
+                    }
+                }
+
+                next.set(key, { node, html });
+                ordered.push({ key, node, replaced: existing && existing.node !== node ? existing.node : null });
+            });
+
+            // Remove nodes that are no longer listed
+            this.nodes.forEach(({ node }, key) => {
+                if (!next.has(key) && node.parentNode === this.container) {
+                    node.remove();
+                }
+            });
+
+            // Insert, replace and reorder with as few moves as possible
+            let cursor = this.container.firstElementChild;
+            ordered.forEach(({ node, replaced }) => {
+                if (replaced && replaced.parentNode === this.container) {
+                    if (replaced === cursor) cursor = replaced.nextElementSibling;
+                    replaced.remove();
+                }
+
+                if (node === cursor) {
+                    cursor = cursor.nextElementSibling;
+                } else {
+                    this.container.insertBefore(node, cursor);
+                }
+            });
+
+            // Anything left after the last item is stale markup
+            while (cursor) {
+                const stale = cursor;
+                cursor = cursor.nextElementSibling;
+                stale.remove();
+            }
+
+            this.nodes = next;
+
+            if (animateMoves) {
+                this.animate(ordered, before);
+            }
+        }
+
+        /**
+         * Last, Invert, Play: slide moved nodes from their old position and fade in new ones.
+         * Only nodes on screen are animated.
+         */
+        animate(ordered, before) {
+            ordered.forEach(({ key, node }) => {
+                const after = node.getBoundingClientRect();
+                if (!isInViewport(after)) return;
+
+                const first = before.get(key);
+                if (!first) {
+                    node.animate([{ opacity: 0 }, { opacity: 1 }], { duration: ANIMATION_DURATION, easing: 'ease-out' });
+                    return;
+                }
+
+                const dx = first.left - after.left;
+                const dy = first.top - after.top;
+                if (dx === 0 && dy === 0) return;
+
+                node.animate(
+                    [{ transform: `translate(${dx}px, ${dy}px)` }, { transform: 'none' }],
+                    { duration: ANIMATION_DURATION, easing: 'ease' }
+                );
+            });
+        }
+
+        /**
+         * Replacing a node drops focus from inside it; focus the element at the same
+         * position in the new node instead
+         */
+        restoreFocus(oldNode, newNode, active) {
+            if (!active || !oldNode.contains(active)) return;
+
+            const index = active === oldNode ? -1 : Array.from(oldNode.querySelectorAll('*')).indexOf(active);
+            const target = index === -1 ? newNode : newNode.querySelectorAll('*')[index];
+
+            if (target && target.tagName === active.tagName) {
+                // Wait until the new node is in the document
+                requestAnimationFrame(() => target.focus({ preventScroll: true }));
+            }
+        }
+    }
+
+    window.KeyedList = KeyedList;
+})();
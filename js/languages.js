@@ -0,0 +1,18 @@
+// Languages - the languages the site is translated into
+// Loaded before everything else (it is read by the inline script that sets <html lang>
+// before the first paint). Adding a language takes an entry here, i18n/<code>.json
+// and, optionally, translated articles in articles/<articles>/.
+//
+// code: language code, also the i18n/<code>.json file name
+// label: name of the language in that language, shown in the language picker
+// ogLocale: og:locale value for the language
+// articles: folder of the translated articles inside articles/ ('' for articles/ itself,
+//           null if articles are not translated and stay in their original language)
+// dir: text direction, 'ltr' or 'rtl'
+window.LANGUAGES = {
+    default: 'en',
+    languages: [
+        { code: 'en', label: 'English', ogLocale: 'en_US', articles: '', dir: 'ltr' },
+        { code: 'fr', label: 'Français', ogLocale: 'fr_FR', articles: 'fr', dir: 'ltr' }
+    ]
+};
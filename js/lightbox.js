@@ -6,15 +6,9 @@
     let images = [];
     let lightboxElement = null;
 
-    /**
-     * Get translated message with fallback
-     */
-    function t(key, fallback) {
-        if (window.i18n && window.i18n.t) {
-            return window.i18n.t(key) || fallback;
-        }
-        return fallback;
-    }
+    // Translated message with an English fallback (see I18nManager.tr); pages built from
+    // articles/article-template.html may not load i18n.js
+    const t = (key, fallback) => (window.i18n ? window.i18n.tr(key, fallback) : fallback);
 
     // Initialize lightbox on DOM load
     function init() {
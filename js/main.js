@@ -170,28 +170,18 @@ class FormManager {
         }
     }
 
-    /**
-     * Get translated message with fallback
-     */
-    t(key, fallback) {
-        if (window.i18n && window.i18n.t) {
-            return window.i18n.t(key) || fallback;
-        }
-        return fallback;
-    }
-
     async handleSubmit(e) {
         e.preventDefault();
 
         // Check if form is configured
         if (this.form.action.includes('YOUR_FORM_ID')) {
-            this.showStatus(this.t('form.notConfigured', '⚠️ Contact form is not yet configured. Please use the email link above.'), 'error');
+            this.showStatus(window.i18n.tr('form.notConfigured', '⚠️ Contact form is not yet configured. Please use the email link above.'), 'error');
             return;
         }
 
         // Rate limiting
         if (!this.canSubmit()) {
-            this.showStatus(this.t('form.rateLimit', '⏱️ Please wait a minute before sending another message.'), 'error');
+            this.showStatus(window.i18n.tr('form.rateLimit', '⏱️ Please wait a minute before sending another message.'), 'error');
             return;
         }
 
@@ -215,26 +205,26 @@ class FormManager {
         });
 
         if (!isValid) {
-            this.showStatus(this.t('form.fillRequired', '❌ Please fill in all required fields.'), 'error');
+            this.showStatus(window.i18n.tr('form.fillRequired', '❌ Please fill in all required fields.'), 'error');
             return;
         }
 
         // Validate email format
         if (!this.isValidEmail(emailField.value)) {
-            this.showStatus(this.t('form.invalidEmail', '❌ Please enter a valid email address.'), 'error');
+            this.showStatus(window.i18n.tr('form.invalidEmail', '❌ Please enter a valid email address.'), 'error');
             emailField.style.borderColor = 'var(--accent)';
             return;
         }
 
         // Check message length
         if (messageField.value.length < 10) {
-            this.showStatus(this.t('form.messageTooShort', '❌ Message is too short. Please provide more details.'), 'error');
+            this.showStatus(window.i18n.tr('form.messageTooShort', '❌ Message is too short. Please provide more details.'), 'error');
             messageField.style.borderColor = 'var(--accent)';
             return;
         }
 
         if (messageField.value.length > 5000) {
-            this.showStatus(this.t('form.messageTooLong', '❌ Message is too long. Please keep it under 5000 characters.'), 'error');
+            this.showStatus(window.i18n.tr('form.messageTooLong', '❌ Message is too long. Please keep it under 5000 characters.'), 'error');
             messageField.style.borderColor = 'var(--accent)';
             return;
         }
@@ -243,7 +233,7 @@ class FormManager {
         const submitBtn = this.form.querySelector('button[type="submit"]');
         const originalText = submitBtn.textContent;
         submitBtn.disabled = true;
-        submitBtn.textContent = this.t('form.sending', 'Sending...');
+        submitBtn.textContent = window.i18n.tr('form.sending', 'Sending...');
 
         try {
             const formData = new FormData(this.form);
@@ -257,7 +247,7 @@ class FormManager {
             });
 
             if (response.ok) {
-                this.showStatus(this.t('form.success', '✓ Message sent successfully! I\'ll get back to you soon.'), 'success');
+                this.showStatus(window.i18n.tr('form.success', '✓ Message sent successfully! I\'ll get back to you soon.'), 'success');
                 this.form.reset();
                 // Set rate limit timestamp
                 localStorage.setItem('lastFormSubmit', Date.now().toString());
@@ -267,9 +257,9 @@ class FormManager {
             }
         } catch (error) {
             if (error.name === 'TimeoutError') {
-                this.showStatus(this.t('form.timeout', '⏱️ Request timed out. Please try again.'), 'error');
+                this.showStatus(window.i18n.tr('form.timeout', '⏱️ Request timed out. Please try again.'), 'error');
             } else {
-                this.showStatus(this.t('form.error', '✗ Failed to send message. Please try again or email me directly.'), 'error');
+                this.showStatus(window.i18n.tr('form.error', '✗ Failed to send message. Please try again or email me directly.'), 'error');
             }
         } finally {
             submitBtn.disabled = false;
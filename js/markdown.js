@@ -0,0 +1,365 @@
+// Markdown Renderer - small CommonMark/GFM subset for project READMEs
+//
+// Text is escaped before any markup is added, so the output only contains the tags
+// generated here. Raw HTML in the source is escaped too unless allowHtml is set, which
+// callers should only do when the result goes through DOMPurify.
+// Supported: headings (ATX and setext), paragraphs, emphasis, strikethrough, code spans,
+// fenced code, blockquotes, nested lists and task lists, tables, links, images, rules.
+(function() {
+    'use strict';
+
+    const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+    const TABLE_SEPARATOR = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Links and images may only use http(s) or mailto, or be relative / in-page
+    function safeUrl(url) {
+        const trimmed = url.trim();
+        if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^(https?|mailto):/i.test(trimmed)) {
+            return null;
+        }
+        return trimmed;
+    }
+
+    function indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    // "| a | b |" -> ['a', 'b'], keeping escaped pipes
+    function splitRow(line) {
+        return line.trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    class MarkdownRenderer {
+        constructor(options = {}) {
+            this.allowHtml = Boolean(options.allowHtml);
+        }
+
+        render(source) {
+            const lines = String(source || '')
+                .replace(/\r\n?/g, '\n')
+                .replace(/\t/g, '    ')
+                .split('\n');
+            return this.renderBlocks(lines);
+        }
+
+        /**
+         * Whether lines[i] opens a block that interrupts a paragraph
+         */
+        startsBlock(lines, i) {
+            const line = lines[i];
+            return /^ {0,3}(`{3,}|~{3,})/.test(line) ||
+                /^ {0,3}#{1,6}( |$)/.test(line) ||
+                /^ {0,3}([-*_])( *\1){2,} *$/.test(line) ||
+                /^ {0,3}>/.test(line) ||
+                /^ {0,3}([-*+]|1[.)]) +\S/.test(line) ||
+                (/^ {0,3}<[a-zA-Z/!]/.test(line)) ||
+                (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1]));
+        }
+
+        renderBlocks(lines) {
+            const html = [];
+            let i = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+
+                if (!line.trim()) {
+                    i++;
+                    continue;
+                }
+
+                // Fenced code
+                let match = line.match(/^ {0,3}(`{3,}|~{3,}) *([\w+#.-]*)/);
+                if (match) {
+                    const fence = match[1];
+                    const code = [];
+                    i++;
+                    while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+                        code.push(lines[i]);
+                        i++;
+                    }
+                    i++;
+                    const language = match[2] ? ` class="language-${escapeHtml(match[2])}"` : '';
+                    html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+                    continue;
+                }
+
+                // ATX heading
+                match = line.match(/^ {0,3}(#{1,6})(?: +(.*?))?(?: +#+)? *$/);
+                if (match) {
+                    const level = match[1].length;
+                    html.push(`<h${level}>${this.renderInline(match[2] || '')}</h${level}>`);
+                    i++;
+                    continue;
+                }
+
+                // Thematic break
+                if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+                    html.push('<hr>');
+                    i++;
+                    continue;
+                }
+
+                // Blockquote (lazy continuation lines are not supported)
+                if (/^ {0,3}>/.test(line)) {
+                    const quote = [];
+                    while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                        quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                        i++;
+                    }
+                    html.push(`<blockquote>${this.renderBlocks(quote)}</blockquote>`);
+                    continue;
+                }
+
+                // List
+                if (LIST_ITEM.test(line)) {
+                    i = this.renderList(lines, i, html);
+                    continue;
+                }
+
+                // Table
+                if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+                    i = this.renderTable(lines, i, html);
+                    continue;
+                }
+
+                // Raw HTML block, up to the next blank line
+                if (/^ {0,3}<[a-zA-Z/!]/.test(line)) {
+                    const block = [];
+                    while (i < lines.length && lines[i].trim()) {
+                        block.push(lines[i]);
+                        i++;
+                    }
+                    html.push(this.allowHtml ? block.join('\n') : `<p>${escapeHtml(block.join('\n'))}</p>`);
+                    continue;
+                }
+
+                // Indented code
+                if (indentOf(line) >= 4) {
+                    const code = [];
+                    while (i < lines.length && (indentOf(lines[i]) >= 4 || !lines[i].trim())) {
+                        code.push(lines[i].slice(4));
+                        i++;
+                    }
+                    while (code.length > 0 && !code[code.length - 1].trim()) code.pop();
+                    html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+                    continue;
+                }
+
+                // Paragraph, possibly a setext heading
+                const paragraph = [line];
+                i++;
+                let level = 0;
+                while (i < lines.length && lines[i].trim()) {
+                    if (/^ {0,3}=+ *$/.test(lines[i])) {
+                        level = 1;
+                    } else if (/^ {0,3}-+ *$/.test(lines[i])) {
+                        level = 2;
+                    }
+                    if (level) {
+                        i++;
+                        break;
+                    }
+                    if (this.startsBlock(lines, i)) break;
+                    paragraph.push(lines[i]);
+                    i++;
+                }
+
+                const content = this.renderInline(paragraph.map(l => l.replace(/^ +/, '')).join('\n'));
+                html.push(level ? `<h${level}>${content}</h${level}>` : `<p>${content}</p>`);
+            }
+
+            return html.join('\n');
+        }
+
+        /**
+         * Render the list starting at lines[start] into html, return the next line index
+         */
+        renderList(lines, start, html) {
+            const first = lines[start].match(LIST_ITEM);
+            const indent = first[1].length;
+            const ordered = /\d/.test(first[2]);
+            const items = [];
+            let loose = false;
+            let i = start;
+            let contentIndent = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                const match = line.match(LIST_ITEM);
+
+                if (match && Math.abs(match[1].length - indent) <= 1 && /\d/.test(match[2]) === ordered) {
+                    contentIndent = match[1].length + match[2].length + Math.max(1, Math.min(match[3].length, 4));
+                    items.push([match[4]]);
+                    i++;
+                    continue;
+                }
+
+                if (!line.trim()) {
+                    // A blank line continues the list only if more of it follows
+                    let next = i + 1;
+                    while (next < lines.length && !lines[next].trim()) next++;
+                    if (next >= lines.length) break;
+
+                    const nextMatch = lines[next].match(LIST_ITEM);
+                    const continues = indentOf(lines[next]) >= contentIndent ||
+                        (nextMatch && Math.abs(nextMatch[1].length - indent) <= 1 && /\d/.test(nextMatch[2]) === ordered);
+                    if (!continues) break;
+
+                    if (indentOf(lines[next]) < contentIndent) loose = true;
+                    items[items.length - 1].push('');
+                    i++;
+                    continue;
+                }
+
+                if (indentOf(line) >= contentIndent) {
+                    items[items.length - 1].push(line.slice(contentIndent));
+                    i++;
+                    continue;
+                }
+
+                // Lazy paragraph continuation
+                const item = items[items.length - 1];
+                if (item[item.length - 1].trim() && !this.startsBlock(lines, i)) {
+                    item.push(line.trim());
+                    i++;
+                    continue;
+                }
+
+                break;
+            }
+
+            const tag = ordered ? 'ol' : 'ul';
+            const startNumber = ordered ? parseInt(first[2], 10) : 1;
+            const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+            const renderedItems = items.map(itemLines => {
+                let checkbox = '';
+                const task = itemLines[0].match(/^\[([ xX])\] +(.*)$/);
+                if (task) {
+                    checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+                    itemLines = [task[2], ...itemLines.slice(1)];
+                }
+
+                let content = this.renderBlocks(itemLines);
+                if (!loose) {
+                    // Tight lists render their paragraphs inline
+                    content = content.replace(/<p>([\s\S]*?)<\/p>/g, '$1');
+                }
+                return `<li>${checkbox}${content}</li>`;
+            });
+
+            html.push(`<${tag}${startAttr}>\n${renderedItems.join('\n')}\n</${tag}>`);
+            return i;
+        }
+
+        /**
+         * Render the GFM table starting at lines[start] into html, return the next line index
+         */
+        renderTable(lines, start, html) {
+            const header = splitRow(lines[start]);
+            const aligns = splitRow(lines[start + 1]).map(cell => {
+                if (/^:-+:$/.test(cell)) return 'center';
+                if (/^-+:$/.test(cell)) return 'right';
+                if (/^:-+$/.test(cell)) return 'left';
+                return null;
+            });
+
+            const cell = (tag, content, index) => {
+                const align = aligns[index] ? ` align="${aligns[index]}"` : '';
+                return `<${tag}${align}>${this.renderInline(content || '')}</${tag}>`;
+            };
+
+            const rows = [];
+            let i = start + 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                const cells = splitRow(lines[i]);
+                rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+                i++;
+            }
+
+            html.push(
+                '<table>' +
+                `<thead><tr>${header.map((content, index) => cell('th', content, index)).join('')}</tr></thead>` +
+                (rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '') +
+                '</table>'
+            );
+            return i;
+        }
+
+        renderInline(text) {
+            const tokens = [];
+            // Finished HTML is parked behind a placeholder so later passes leave it alone
+            const stash = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+            let out = text.replace(/\u0000/g, '');
+
+            // Code spans
+            out = out.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+                stash(`<code>${escapeHtml(code.replace(/\n/g, ' ').trim())}</code>`));
+
+            // Backslash escapes
+            out = out.replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, (_, char) => stash(escapeHtml(char)));
+
+            // Inline HTML, only when the caller sanitizes the result
+            if (this.allowHtml) {
+                out = out.replace(/<!--[\s\S]*?-->|<\/?[a-zA-Z][^<>]*>/g, tag => stash(tag));
+            }
+
+            // Autolinks: <https://example.org>
+            out = out.replace(/<(https?:\/\/[^\s<>]+)>/g, (_, url) =>
+                stash(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+            // Images: ![alt](src "title")
+            out = out.replace(/!\[([^\]]*)\]\( *<?([^\s)>]+)>?(?: +"([^"]*)")? *\)/g, (_, alt, src, title) => {
+                const url = safeUrl(src);
+                if (!url) return stash(escapeHtml(alt));
+                const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+                return stash(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}"${titleAttr}>`);
+            });
+
+            // Links: [text](href "title"); the text keeps going through the inline passes
+            out = out.replace(/\[([^[\]]*)\]\( *<?([^\s)>]*)>?(?: +"([^"]*)")? *\)/g, (_, label, href, title) => {
+                const url = safeUrl(href);
+                if (!url) return label;
+                const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+                return stash(`<a href="${escapeHtml(url)}"${titleAttr}>`) + label + stash('</a>');
+            });
+
+            // Bare URLs
+            out = out.replace(/\bhttps?:\/\/[^\s<>()\u0000]*[^\s<>().,;:!?'"\u0000]/g, url =>
+                stash(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+
+            out = escapeHtml(out)
+                .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+                .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+                .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+                .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+                .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+            return out.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.MarkdownRenderer = MarkdownRenderer;
+    }
+
+    // Export for Node scripts
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MarkdownRenderer;
+    }
+})();
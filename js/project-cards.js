@@ -0,0 +1,452 @@
+// Project Cards - markup for the project cards on the homepage and the projects page
+// Sanitized card HTML with source and mirror icons, topic tags, language bar, commit
+// sparkline, freshness badge and lazily loaded details, plus the helpers the other
+// projects page modules share (language colours, sanitizing, localized overrides).
+(function() {
+    'use strict';
+
+    const I18nManager = typeof window !== 'undefined' && window.I18nManager
+        ? window.I18nManager
+        : require('./i18n.js');
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = I18nManager.tr;
+
+    // Linguist colors for the languages we actually use, anything else gets a hashed hue
+    const LANGUAGE_COLORS = {
+        'Python': '#3572A5',
+        'Jupyter Notebook': '#DA5B0B',
+        'C': '#555555',
+        'C++': '#F34B7D',
+        'Fortran': '#4D41B1',
+        'Julia': '#A270BA',
+        'MATLAB': '#E16737',
+        'R': '#198CE7',
+        'Shell': '#89E051',
+        'Makefile': '#427819',
+        'CMake': '#DA3434',
+        'TeX': '#3D6117',
+        'JavaScript': '#F1E05A',
+        'TypeScript': '#3178C6',
+        'HTML': '#E34C26',
+        'CSS': '#563D7C',
+        'Rust': '#DEA584',
+        'Go': '#00ADD8'
+    };
+
+    // Days since the last update within which a project counts as active / maintained
+    const FRESHNESS_DAYS = { active: 90, maintained: 365 };
+
+    function getLanguageColor(language) {
+        if (LANGUAGE_COLORS[language]) return LANGUAGE_COLORS[language];
+
+        let hash = 0;
+        for (const char of String(language)) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        return `hsl(${hash}, 55%, 55%)`;
+    }
+
+    class ProjectCardRenderer {
+        /**
+         * providers: the ProjectDataService providers, used for source icons and labels
+         */
+        constructor(providers = []) {
+            this.providers = providers;
+        }
+
+        getProvider(source) {
+            return this.providers.find(provider => provider.id === source) || null;
+        }
+
+        // URL validation to prevent open redirect vulnerabilities
+        isValidURL(url) {
+            if (!url) return null;
+            try {
+                const parsed = new URL(url);
+                // Only allow http/https protocols
+                if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                    return null;
+                }
+                return parsed.href;
+            } catch {
+                return null;
+            }
+        }
+
+        // Same-site paths (images/...) or absolute http(s) URLs
+        resolveImageURL(url) {
+            if (!url) return null;
+            try {
+                return this.isValidURL(new URL(url, document.baseURI).href);
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * Pick the current language from an override value: a string, or a { en, fr } map
+         */
+        localize(value) {
+            if (!value || typeof value === 'string') return value || null;
+
+            const lang = typeof window !== 'undefined' && window.i18n ? window.i18n.getLang() : 'en';
+            return value[lang] || value.en || null;
+        }
+
+        getLanguageColor(language) {
+            return getLanguageColor(language);
+        }
+
+        getDescription(repo) {
+            return this.localize(repo.descriptions) || repo.description;
+        }
+
+        // Sanitize text content to prevent XSS
+        sanitizeText(text) {
+            if (!text) return '';
+            // Use DOMPurify if available, otherwise escape HTML
+            if (typeof DOMPurify !== 'undefined') {
+                return DOMPurify.sanitize(text, { ALLOWED_TAGS: [] });
+            }
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        }
+
+        /**
+         * Sanitize text and wrap the given [start, end) ranges in <mark>.
+         * Each slice is sanitized on its own, so only the <mark> tags are markup.
+         */
+        highlightText(text, ranges = []) {
+            if (!text) return '';
+            if (ranges.length === 0) return this.sanitizeText(text);
+
+            let html = '';
+            let position = 0;
+
+            ranges.forEach(([start, end]) => {
+                html += this.sanitizeText(text.slice(position, start));
+                html += `<mark class="search-match">${this.sanitizeText(text.slice(start, end))}</mark>`;
+                position = end;
+            });
+
+            return html + this.sanitizeText(text.slice(position));
+        }
+
+        /**
+         * options.getMatches(text): optional [start, end) ranges to highlight in the
+         * title and description (see ProjectSearch.getMatches)
+         * options.selectedTopics: when given, tags render as topic filter toggles
+         */
+        createProjectCard(repo, options = {}) {
+            const topics = repo.topics || [];
+            const getMatches = options.getMatches || (() => []);
+            const descriptionText = this.getDescription(repo);
+            const description = this.highlightText(descriptionText, getMatches(descriptionText || '')) ||
+                t('projects.noDescription', 'No description available');
+            const name = this.sanitizeText(repo.name);
+            const title = this.highlightText(repo.name, getMatches(repo.name || ''));
+            const language = this.sanitizeText(repo.language);
+            const provider = this.getProvider(repo.source);
+            const sourceIcon = provider ? provider.icon : '';
+            const sourceLabel = this.sanitizeText(provider ? provider.label : repo.source);
+
+            // Validate URLs to prevent XSS and open redirect
+            const repoUrl = this.isValidURL(repo.html_url);
+            const homepageUrl = this.isValidURL(repo.homepage);
+            const imageUrl = this.resolveImageURL(repo.image);
+            const featured = repo.featured !== undefined;
+
+            if (!repoUrl) {
+                console.warn('Invalid repository URL:', repo.html_url);
+                return '';
+            }
+
+            return `
+                <article class="project-card${featured ? ' project-card--featured' : ''}" data-project="${name}" data-source="${this.sanitizeText(repo.source)}">
+                    <a href="${repoUrl}" target="_blank" rel="noopener noreferrer" class="project-card__link-overlay" aria-label="View ${name}"></a>
+                    ${imageUrl ? `
+                        <img class="project-card__image" src="${imageUrl}" alt="${this.sanitizeText(this.localize(repo.image_alt) || '').replace(/"/g, '&quot;')}" loading="lazy">
+                    ` : ''}
+                    <div class="project-card__header">
+                        <h3 class="project-card__title">${title}</h3>
+                        ${featured ? `<span class="project-card__badge">${this.sanitizeText(t('projects.featured', 'Featured'))}</span>` : ''}
+                        <div class="project-card__icons">
+                            <span class="project-card__source" title="${sourceLabel}">
+                                ${sourceIcon}
+                            </span>
+                            ${this.createMirrorLinks(repo)}
+                            ${homepageUrl ? `
+                                <a href="${homepageUrl}"
+                                   class="project-card__external"
+                                   target="_blank"
+                                   rel="noopener noreferrer"
+                                   aria-label="View ${name} live demo"
+                                   title="Live demo">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
+                                        <polyline points="15 3 21 3 21 9"/>
+                                        <line x1="10" y1="14" x2="21" y2="3"/>
+                                    </svg>
+                                </a>
+                            ` : ''}
+                        </div>
+                    </div>
+                    <p class="project-card__description">${description}</p>
+                    ${topics.length > 0 ? `
+                        <div class="project-card__tags">
+                            ${topics.slice(0, 5).map(topic => this.createTag(topic, options.selectedTopics)).join('')}
+                        </div>
+                    ` : ''}
+                    ${this.createLanguageBar(repo.languages)}
+                    ${this.createSparkline(repo.commit_activity)}
+                    ${this.createDetails(repo, options.getDetails ? options.getDetails(repo) : null)}
+                    <div class="project-card__stats">
+                        ${repo.stargazers_count > 0 ? `
+                            <span class="stat">
+                                <svg viewBox="0 0 16 16" fill="currentColor">
+                                    <path d="M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z"/>
+                                </svg>
+                                <span>${repo.stargazers_count}</span>
+                            </span>
+                        ` : ''}
+                        ${language ? `
+                            <span class="stat">
+                                <svg viewBox="0 0 16 16" fill="${getLanguageColor(repo.language)}">
+                                    <circle cx="8" cy="8" r="3"/>
+                                </svg>
+                                <span>${language}</span>
+                            </span>
+                        ` : ''}
+                        ${this.createActivity(repo)}
+                    </div>
+                </article>
+            `;
+        }
+
+        /**
+         * Latest release, license, forks, open issues and CI status: whatever the listing
+         * and the lazily loaded details (ProjectDataService.loadCardDetails) provide
+         */
+        createDetails(repo, details) {
+            const items = [];
+            const item = (label, content, modifier = '') => {
+                items.push(`<span class="project-card__detail${modifier}" title="${this.sanitizeText(label).replace(/"/g, '&quot;')}"><span class="sr-only">${this.sanitizeText(label)}: </span>${content}</span>`);
+            };
+
+            if (details && details.release) {
+                const when = this.formatRelativeDate(details.release.published_at);
+                item(t('projects.details.release', 'Latest release'),
+                    this.sanitizeText(when ? `${details.release.name} · ${when}` : details.release.name));
+            }
+
+            const license = repo.license || (details && details.license);
+            if (license) {
+                item(t('projects.details.license', 'License'), this.sanitizeText(license));
+            }
+
+            if (repo.forks_count > 0) {
+                item(t('projects.details.forks', 'Forks'), `
+                    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true">
+                        <circle cx="4" cy="3" r="1.5"/><circle cx="12" cy="3" r="1.5"/><circle cx="8" cy="13" r="1.5"/>
+                        <path d="M4 4.5v1.5a2 2 0 0 0 2 2h4a2 2 0 0 0 2-2V4.5M8 8v3.5"/>
+                    </svg>${Number(repo.forks_count)}`);
+            }
+
+            if (repo.open_issues_count > 0) {
+                item(t('projects.details.openIssues', 'Open issues'), `
+                    <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true">
+                        <circle cx="8" cy="8" r="6"/><circle cx="8" cy="8" r="1" fill="currentColor"/>
+                    </svg>${Number(repo.open_issues_count)}`);
+            }
+
+            if (details && details.ci) {
+                const labels = {
+                    success: t('projects.ci.success', 'Build passing'),
+                    failure: t('projects.ci.failure', 'Build failing'),
+                    running: t('projects.ci.running', 'Build running'),
+                    cancelled: t('projects.ci.cancelled', 'Build cancelled'),
+                    unknown: t('projects.ci.unknown', 'Build status unknown')
+                };
+                const status = labels[details.ci.status] ? details.ci.status : 'unknown';
+                item(t('projects.details.ci', 'CI'), this.sanitizeText(labels[status]), ` ci-status ci-status--${status}`);
+            }
+
+            if (items.length === 0) return '';
+
+            return `<div class="project-card__details">${items.join('')}</div>`;
+        }
+
+        /**
+         * Freshness badge and "updated 3 days ago"
+         */
+        createActivity(repo) {
+            const freshness = this.getFreshness(repo);
+            const relative = this.formatRelativeDate(repo.updated_at);
+            if (!freshness && !relative) return '';
+
+            const labels = {
+                active: t('projects.freshness.active', 'Active'),
+                maintained: t('projects.freshness.maintained', 'Maintained'),
+                archived: t('projects.freshness.archived', 'Archived')
+            };
+
+            let time = '';
+            if (relative) {
+                const date = new Date(repo.updated_at);
+                const lang = typeof window !== 'undefined' && window.i18n ? window.i18n.getLang() : 'en';
+                const full = date.toLocaleDateString(lang, { year: 'numeric', month: 'long', day: 'numeric' });
+                time = `<time datetime="${date.toISOString()}" title="${this.sanitizeText(full)}">${this.sanitizeText(t('projects.updatedAgo', 'Updated {time}', { time: relative }))}</time>`;
+            }
+
+            return `
+                <span class="stat project-card__activity">
+                    ${freshness ? `<span class="freshness freshness--${freshness}">${this.sanitizeText(labels[freshness])}</span>` : ''}
+                    ${time}
+                </span>
+            `;
+        }
+
+        /**
+         * 'archived', 'active' or 'maintained' by days since the last update (FRESHNESS_DAYS),
+         * null for older projects
+         */
+        getFreshness(repo, now = Date.now()) {
+            if (repo.archived) return 'archived';
+
+            const updated = new Date(repo.updated_at).getTime();
+            if (!repo.updated_at || isNaN(updated)) return null;
+
+            const days = (now - updated) / (24 * 60 * 60 * 1000);
+            if (days <= FRESHNESS_DAYS.active) return 'active';
+            if (days <= FRESHNESS_DAYS.maintained) return 'maintained';
+            return null;
+        }
+
+        /**
+         * "3 days ago" / "il y a 3 jours" in the current language (see
+         * I18nManager.formatRelativeTime), null for a missing or invalid date
+         */
+        formatRelativeDate(value) {
+            const date = new Date(value);
+            if (!value || isNaN(date)) return null;
+
+            return I18nManager.get().formatRelativeTime(date);
+        }
+
+        /**
+         * Icon links to the other forges a mirrored project is published on
+         */
+        createMirrorLinks(repo) {
+            return (repo.mirrors || []).map(mirror => {
+                const url = this.isValidURL(mirror.html_url);
+                const provider = this.getProvider(mirror.source);
+                if (!url) return '';
+
+                const label = this.sanitizeText(t('projects.mirrorOn', 'Mirror on {source}', {
+                    source: provider ? provider.label : mirror.source
+                })).replace(/"/g, '&quot;');
+
+                return `
+                    <a href="${url}" class="project-card__source project-card__source--mirror" target="_blank" rel="noopener noreferrer" title="${label}" aria-label="${label}">
+                        ${provider ? provider.icon : ''}
+                    </a>
+                `;
+            }).join('');
+        }
+
+        /**
+         * Every source a project is listed on: its own, then its mirrors'
+         */
+        getSources(repo) {
+            return [repo.source, ...(repo.mirrors || []).map(mirror => mirror.source)];
+        }
+
+        // Topic tag; a toggle button carrying data-topic when topics are filterable
+        createTag(topic, selectedTopics) {
+            const label = this.sanitizeText(topic);
+            if (!selectedTopics) {
+                return `<span class="tag">${label}</span>`;
+            }
+
+            const key = topic.toLowerCase();
+            const active = selectedTopics.includes(key);
+            return `<button type="button" class="tag tag--toggle${active ? ' is-active' : ''}" data-topic="${this.sanitizeText(key).replace(/"/g, '&quot;')}" aria-pressed="${active}">${label}</button>`;
+        }
+
+        /**
+         * Stacked language-percentage bar; languages past the fifth are merged into "Other"
+         */
+        createLanguageBar(languages) {
+            if (!Array.isArray(languages) || languages.length === 0) return '';
+
+            const visible = languages.filter(language => language.percent > 0);
+            const segments = visible.slice(0, 5);
+            const rest = visible.slice(5).reduce((sum, language) => sum + language.percent, 0);
+            if (rest > 0) {
+                segments.push({ name: t('projects.otherLanguages', 'Other'), percent: Math.round(rest * 10) / 10, other: true });
+            }
+
+            const list = segments.map(segment => `${segment.name} ${segment.percent}%`).join(', ');
+            const label = this.sanitizeText(t('projects.languageBreakdown', 'Languages: {list}', { list })).replace(/"/g, '&quot;');
+
+            return `
+                <div class="language-bar" role="img" aria-label="${label}" title="${label}">
+                    ${segments.map(segment => `
+                        <span class="language-bar__segment"
+                              style="width: ${Number(segment.percent) || 0}%; background-color: ${segment.other ? 'var(--text-tertiary)' : getLanguageColor(segment.name)};"></span>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        /**
+         * Line of commits per week over the last year; the label carries the numbers
+         */
+        createSparkline(weeks) {
+            if (!Array.isArray(weeks) || weeks.length < 2) return '';
+
+            const values = weeks.map(value => Number(value) || 0);
+            const max = Math.max(...values, 1);
+            const total = values.reduce((sum, value) => sum + value, 0);
+            const points = values.map((value, index) => {
+                const x = (index / (values.length - 1)) * 100;
+                const y = 19 - (value / max) * 18;
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            }).join(' ');
+
+            const label = this.sanitizeText(t('projects.sparkline', '{count, plural, one {# commit} other {# commits}} in the last year (peak {max, number} in a week)', {
+                count: total,
+                max: Math.max(...values)
+            })).replace(/"/g, '&quot;');
+
+            return `
+                <svg class="sparkline" viewBox="0 0 100 20" preserveAspectRatio="none" role="img" aria-label="${label}">
+                    <title>${label}</title>
+                    <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+                </svg>
+            `;
+        }
+
+        /**
+         * "Last synced" message shown when projects come from the static snapshot
+         */
+        getSnapshotNotice(generatedAt) {
+            const date = new Date(generatedAt);
+
+            return t('projects.snapshotNotice', 'Live data is unavailable. Showing projects as last synced on {date, date, long}.', {
+                date: isNaN(date) ? generatedAt : date
+            });
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.ProjectCardRenderer = ProjectCardRenderer;
+    }
+
+    // Export for Node scripts
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProjectCardRenderer;
+    }
+})();
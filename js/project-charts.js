@@ -0,0 +1,284 @@
+// Project Charts - small dashboard above the projects grid
+// A donut of primary languages, the most starred projects as bars and the number of
+// projects created per year, drawn as inline SVG for the currently filtered projects.
+// Colours come from CSS custom properties (and the language colours of the cards), so
+// the charts follow the theme. Every segment is a button that applies its filter.
+(function() {
+    'use strict';
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = window.I18nManager.tr;
+
+    const MAX_LANGUAGES = 6; // donut slices before the rest is grouped as "Other"
+    const MAX_BARS = 8; // most starred projects shown
+
+    // Point on a circle, angle in turns from 12 o'clock, clockwise
+    function polar(cx, cy, radius, turns) {
+        const angle = turns * 2 * Math.PI;
+        return [cx + radius * Math.sin(angle), cy - radius * Math.cos(angle)];
+    }
+
+    /**
+     * Ring slice between start and end (in turns). A full ring is drawn as two halves,
+     * since an arc cannot end where it starts.
+     */
+    function ringPath(cx, cy, outer, inner, start, end) {
+        if (end - start >= 1) {
+            return ringPath(cx, cy, outer, inner, 0, 0.5) + ringPath(cx, cy, outer, inner, 0.5, 1);
+        }
+
+        const large = end - start > 0.5 ? 1 : 0;
+        const [x1, y1] = polar(cx, cy, outer, start);
+        const [x2, y2] = polar(cx, cy, outer, end);
+        const [x3, y3] = polar(cx, cy, inner, end);
+        const [x4, y4] = polar(cx, cy, inner, start);
+        const round = n => Math.round(n * 100) / 100;
+
+        return `M${round(x1)} ${round(y1)}A${outer} ${outer} 0 ${large} 1 ${round(x2)} ${round(y2)}` +
+            `L${round(x3)} ${round(y3)}A${inner} ${inner} 0 ${large} 0 ${round(x4)} ${round(y4)}Z`;
+    }
+
+    // Whether a search query already contains this exact qualifier (e.g. "created:2024")
+    function hasTerm(search, term) {
+        return search.toLowerCase().split(/\s+/).includes(term.toLowerCase());
+    }
+
+    class ProjectCharts {
+        /**
+         * container: element to fill (hidden while there are no projects)
+         * renderer: ProjectCardRenderer, for language colours and sanitizing
+         * onSelect({ type, value }): a segment was activated; type is 'language'
+         * (value: language name), 'stars' (minimum stars) or 'created' (year)
+         */
+        constructor(container, renderer, { onSelect }) {
+            this.container = container;
+            this.renderer = renderer;
+            this.onSelect = onSelect;
+
+            const select = (target) => {
+                const segment = target.closest('[data-chart-filter]');
+                if (!segment) return false;
+                this.onSelect({ type: segment.dataset.chartFilter, value: segment.dataset.value });
+                return true;
+            };
+
+            container.addEventListener('click', (e) => select(e.target));
+            container.addEventListener('keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === ' ') && select(e.target)) {
+                    e.preventDefault();
+                }
+            });
+        }
+
+        /**
+         * projects: the filtered projects
+         * filters.language / filters.search: active filters, to mark the matching segments
+         */
+        render(projects, { language = 'all', search = '' } = {}) {
+            if (projects.length === 0) {
+                this.container.textContent = '';
+                this.container.classList.add('hidden');
+                return;
+            }
+
+            // Keep keyboard focus on the same segment across the re-render
+            const focused = this.container.contains(document.activeElement)
+                ? document.activeElement.getAttribute('data-key')
+                : null;
+
+            this.container.innerHTML = `
+                <h2 class="sr-only">${this.renderer.sanitizeText(t('projects.charts.title', 'Project statistics'))}</h2>
+                ${this.renderLanguages(projects, language)}
+                ${this.renderStars(projects, search)}
+                ${this.renderYears(projects, search)}
+            `;
+            this.container.classList.remove('hidden');
+
+            if (focused) {
+                const segment = this.container.querySelector(`[data-key="${CSS.escape(focused)}"]`);
+                if (segment) segment.focus();
+            }
+        }
+
+        /**
+         * <g> acting as a toggle button around a shape
+         */
+        segment({ type, value, label, pressed, content }) {
+            const safeLabel = this.renderer.sanitizeText(label);
+            const safeValue = this.renderer.sanitizeText(String(value)).replace(/"/g, '&quot;');
+
+            return `
+                <g class="project-charts__segment" role="button" tabindex="0" aria-pressed="${pressed}"
+                   aria-label="${safeLabel.replace(/"/g, '&quot;')}"
+                   data-chart-filter="${type}" data-value="${safeValue}" data-key="${type}:${safeValue}">
+                    <title>${safeLabel}</title>
+                    ${content}
+                </g>
+            `;
+        }
+
+        figure(id, title, svg) {
+            return `
+                <figure class="project-charts__chart">
+                    <figcaption class="project-charts__title" id="${id}">${this.renderer.sanitizeText(title)}</figcaption>
+                    ${svg}
+                </figure>
+            `;
+        }
+
+        /**
+         * Donut of primary languages; projects without one are left out
+         */
+        renderLanguages(projects, selected) {
+            const counts = new Map();
+            projects.forEach(project => {
+                if (project.language) {
+                    counts.set(project.language, (counts.get(project.language) || 0) + 1);
+                }
+            });
+
+            const sorted = Array.from(counts, ([name, count]) => ({ name, count }))
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+            const slices = sorted.slice(0, MAX_LANGUAGES);
+            const rest = sorted.slice(MAX_LANGUAGES).reduce((sum, language) => sum + language.count, 0);
+            const total = slices.reduce((sum, language) => sum + language.count, rest);
+            const title = t('projects.charts.languages', 'Languages');
+
+            if (total === 0) return this.figure('chart-languages', title, '');
+
+            let start = 0;
+            const paths = slices.map(({ name, count }) => {
+                const end = start + count / total;
+                const path = `<path class="project-charts__slice" d="${ringPath(50, 50, 48, 30, start, end)}" fill="${this.renderer.getLanguageColor(name)}"/>`;
+                start = end;
+
+                return this.segment({
+                    type: 'language',
+                    value: name,
+                    label: t('projects.charts.languageSlice', '{language}: {count, plural, one {# project} other {# projects}}', { language: name, count }),
+                    pressed: selected === name,
+                    content: path
+                });
+            }).join('');
+
+            // Not a filter: "Other" is several languages
+            const other = rest > 0 ? `
+                <path class="project-charts__slice project-charts__slice--other" d="${ringPath(50, 50, 48, 30, start, 1)}">
+                    <title>${this.renderer.sanitizeText(t('projects.charts.otherSlice', 'Other languages: {count, plural, one {# project} other {# projects}}', { count: rest }))}</title>
+                </path>
+            ` : '';
+
+            const legend = slices.map(({ name, count }) => `
+                <li><span class="project-charts__swatch" style="background-color: ${this.renderer.getLanguageColor(name)};"></span>${this.renderer.sanitizeText(name)} <span class="project-charts__count">${count}</span></li>
+            `).join('');
+
+            return this.figure('chart-languages', title, `
+                <div class="project-charts__donut">
+                    <svg class="project-charts__svg project-charts__svg--donut" viewBox="0 0 100 100" role="group" aria-labelledby="chart-languages">
+                        ${paths}
+                        ${other}
+                        <text class="project-charts__total" x="50" y="54" text-anchor="middle">${total}</text>
+                    </svg>
+                    <ul class="project-charts__legend" aria-hidden="true">${legend}</ul>
+                </div>
+            `);
+        }
+
+        /**
+         * Horizontal bars for the most starred projects; a bar filters to projects with at
+         * least as many stars
+         */
+        renderStars(projects, search) {
+            const starred = projects
+                .filter(project => project.stargazers_count > 0)
+                .sort((a, b) => b.stargazers_count - a.stargazers_count || a.name.localeCompare(b.name))
+                .slice(0, MAX_BARS);
+            const title = t('projects.charts.stars', 'Most starred');
+
+            if (starred.length === 0) {
+                return this.figure('chart-stars', title, `
+                    <p class="project-charts__empty">${this.renderer.sanitizeText(t('projects.charts.noStars', 'No stars yet'))}</p>
+                `);
+            }
+
+            const max = starred[0].stargazers_count;
+            const row = 14;
+            const labelWidth = 90;
+            const barWidth = 170;
+
+            const bars = starred.map((project, index) => {
+                const stars = project.stargazers_count;
+                const y = index * row;
+                const width = Math.max(2, Math.round((stars / max) * barWidth));
+                const name = project.name.length > 16 ? `${project.name.slice(0, 15)}…` : project.name;
+
+                return this.segment({
+                    type: 'stars',
+                    value: stars,
+                    label: t('projects.charts.starsBar', '{name}: {count, plural, one {# star} other {# stars}} (show projects with at least {count, number})', { name: project.name, count: stars }),
+                    pressed: hasTerm(search, `stars:>=${stars}`),
+                    content: `
+                        <rect class="project-charts__hit" x="0" y="${y}" width="${labelWidth + barWidth + 30}" height="${row}"/>
+                        <text class="project-charts__label" x="${labelWidth - 4}" y="${y + 10}" text-anchor="end">${this.renderer.sanitizeText(name)}</text>
+                        <rect class="project-charts__bar project-charts__bar--stars" x="${labelWidth}" y="${y + 2}" width="${width}" height="${row - 4}" rx="2"/>
+                        <text class="project-charts__value" x="${labelWidth + width + 3}" y="${y + 10}">${stars}</text>
+                    `
+                });
+            }).join('');
+
+            return this.figure('chart-stars', title, `
+                <svg class="project-charts__svg" viewBox="0 0 ${labelWidth + barWidth + 30} ${starred.length * row}" role="group" aria-labelledby="chart-stars">
+                    ${bars}
+                </svg>
+            `);
+        }
+
+        /**
+         * Projects created per year, from the first year to the last (empty years included)
+         */
+        renderYears(projects, search) {
+            const counts = new Map();
+            projects.forEach(project => {
+                const year = new Date(project.created_at).getFullYear();
+                if (!isNaN(year)) counts.set(year, (counts.get(year) || 0) + 1);
+            });
+            const title = t('projects.charts.created', 'Created per year');
+
+            if (counts.size === 0) return this.figure('chart-created', title, '');
+
+            const first = Math.min(...counts.keys());
+            const last = Math.max(...counts.keys());
+            const years = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+            const max = Math.max(...counts.values());
+            const column = 24;
+            const height = 80;
+
+            const bars = years.map((year, index) => {
+                const count = counts.get(year) || 0;
+                const x = index * column;
+                const barHeight = Math.round((count / max) * height);
+
+                return this.segment({
+                    type: 'created',
+                    value: year,
+                    label: t('projects.charts.createdBar', '{year}: {count, plural, =0 {no projects} one {# project} other {# projects}} created', { year, count }),
+                    pressed: hasTerm(search, `created:${year}`),
+                    content: `
+                        <rect class="project-charts__hit" x="${x}" y="10" width="${column}" height="${height + 12}"/>
+                        <rect class="project-charts__bar project-charts__bar--created" x="${x + 3}" y="${10 + height - barHeight}" width="${column - 6}" height="${barHeight}" rx="2"/>
+                        ${count > 0 ? `<text class="project-charts__value" x="${x + column / 2}" y="${6 + height - barHeight}" text-anchor="middle">${count}</text>` : ''}
+                        <text class="project-charts__label" x="${x + column / 2}" y="${height + 21}" text-anchor="middle">${year}</text>
+                    `
+                });
+            }).join('');
+
+            return this.figure('chart-created', title, `
+                <svg class="project-charts__svg" viewBox="0 0 ${Math.max(years.length * column, 120)} ${height + 24}" role="group" aria-labelledby="chart-created">
+                    ${bars}
+                </svg>
+            `);
+        }
+    }
+
+    window.ProjectCharts = ProjectCharts;
+})();
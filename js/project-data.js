@@ -0,0 +1,991 @@
+// Shared Project Data Layer
+// Fetching and caching of projects from every configured forge (provider definitions
+// live in forge-providers.js, card markup in project-cards.js).
+// Used by ProjectsManager (homepage), AllProjectsManager (projects page) and the
+// snapshot generator in scripts/build-projects-snapshot.js.
+(function() {
+    'use strict';
+
+    const I18nManager = typeof window !== 'undefined' && window.I18nManager
+        ? window.I18nManager
+        : require('./i18n.js');
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = I18nManager.tr;
+
+    const ForgeProviders = typeof window !== 'undefined' && window.ForgeProviders
+        ? window.ForgeProviders
+        : require('./forge-providers.js');
+
+    /**
+     * Forges to list projects from. Each entry is { type, username } plus an optional
+     * baseUrl for self-hosted instances (and optional id / label overrides).
+     * Types: github, gitlab, gitea, forgejo, codeberg - see forge-providers.js.
+     * The browser only reaches API hosts listed in connect-src of the Content-Security-Policy
+     * in index.html and projects.html; scripts/check-csp.js fails until a new host is added.
+     */
+    const PROJECT_SOURCES = [
+        { type: 'github', username: 'Undreak' },
+        { type: 'gitlab', username: 'Undreak' }
+    ];
+
+    // Responses worth another attempt: server errors and rate limits that may lift shortly
+    function isTransient(response) {
+        return response.status >= 500 || response.status === 429 || response.status === 408;
+    }
+
+    // Local calendar day, "2026-03-07" (the keys of loadActivity().days)
+    function toDayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Only follow pagination links that stay on the API we started from
+    function isSameOrigin(url, baseUrl) {
+        try {
+            return new URL(url).origin === new URL(baseUrl).origin;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * localStorage cache of normalized projects, one entry per provider.
+     * Entries hold one record per listing page with the ETag / Last-Modified validators of
+     * the response it came from, so expired entries can be revalidated page by page with
+     * conditional requests.
+     */
+    class ProjectCache {
+        constructor(ttl, prefix = 'projectsCache:') {
+            this.ttl = ttl;
+            this.prefix = prefix;
+        }
+
+        get(key) {
+            try {
+                const raw = localStorage.getItem(this.prefix + key);
+                if (!raw) return null;
+
+                const entry = JSON.parse(raw);
+
+                // Validate entry shape, drop anything we can't use
+                if (!entry || !Array.isArray(entry.pages) || typeof entry.timestamp !== 'number') {
+                    console.warn('Invalid project cache entry, removing:', key);
+                    localStorage.removeItem(this.prefix + key);
+                    return null;
+                }
+
+                entry.projects = entry.pages.flatMap(page => page.projects || []);
+                return entry;
+            } catch (error) {
+                console.error('Error reading project cache:', error);
+                return null;
+            }
+        }
+
+        set(key, pages) {
+            try {
+                localStorage.setItem(this.prefix + key, JSON.stringify({
+                    pages,
+                    timestamp: Date.now()
+                }));
+            } catch (error) {
+                // Quota exceeded or storage disabled - caching is best effort
+                console.error('Error writing project cache:', error);
+            }
+        }
+
+        isFresh(entry) {
+            return Boolean(entry) && Date.now() - entry.timestamp < this.ttl;
+        }
+    }
+
+    class ProjectDataService {
+        constructor(options = {}) {
+            this.providers = (options.sources || PROJECT_SOURCES).map(config => ForgeProviders.create(config));
+            this.API_TIMEOUT = options.timeout || 10000; // 10 seconds
+            this.LISTING_TIMEOUT = options.listingTimeout || 30000; // shared by all pages of a listing
+            this.MAX_PAGES = options.maxPages || 10;
+            this.LANGUAGES_TTL = options.languagesTTL || 24 * 60 * 60 * 1000; // 24 hours
+            this.LANGUAGE_CONCURRENCY = options.languageConcurrency || 2;
+            this.ACTIVITY_PAGES = options.activityPages || 3;
+            this.COMMIT_ACTIVITY_LIMIT = options.commitActivityLimit || 12;
+            this.ACTIVITY_TTL = options.activityTTL || 24 * 60 * 60 * 1000; // commit activity, 24 hours
+            this.ACTIVITY_CONCURRENCY = options.activityConcurrency || 2;
+            this.CACHE_TTL = options.cacheTTL || 15 * 60 * 1000; // 15 minutes
+            this.MAX_RETRIES = options.maxRetries === undefined ? 2 : options.maxRetries;
+            this.RETRY_BASE_DELAY = options.retryBaseDelay || 500;
+            this.MAX_RETRY_DELAY = options.maxRetryDelay || 10000; // longer waits are reported instead
+            // Pass snapshotUrl: null to disable the snapshot fallback
+            this.snapshotUrl = options.snapshotUrl === undefined ? 'data/projects.json' : options.snapshotUrl;
+            // Pass overridesUrl: null to list projects exactly as the forges return them
+            this.overridesUrl = options.overridesUrl === undefined ? 'data/project-overrides.json' : options.overridesUrl;
+            this.overrides = null;
+
+            // Pass cache: null to always hit the network (e.g. from Node)
+            this.cache = options.cache === undefined ? new ProjectCache(this.CACHE_TTL) : options.cache;
+            this.fetch = options.fetch || ((...args) => fetch(...args));
+            this.snapshot = null;
+            this.details = new Map(); // "source/name" -> loadDetails() result, per page load
+            this.cardDetailsPausedUntil = 0; // loadCardDetails() stops while rate limited
+        }
+
+        /**
+         * Load projects from every provider.
+         * With an onUpdate callback and cached data available, resolves immediately with the
+         * cached projects (stale-while-revalidate) and calls onUpdate once the background
+         * refresh returns something different.
+         * Resolves with { projects, failures, warnings, snapshot } where failures lists
+         * { source, error } for providers that returned nothing, warnings lists { source, error }
+         * for listings cut short after their first page, and snapshot is the generation date of
+         * data/projects.json when it stood in for a failed provider (null otherwise).
+         * rateLimitReset is when rate-limited providers can be fetched again (see getRateLimitReset).
+         * Mirrors are merged into one project (see mergeMirrors) and
+         * data/project-overrides.json is applied (see applyOverrides).
+         */
+        async load({ onUpdate } = {}) {
+            const overrides = await this.loadOverrides();
+            const withOverrides = result => ({
+                ...result,
+                rateLimitReset: this.getRateLimitReset(result.failures),
+                projects: this.applyOverrides(this.mergeMirrors(result.projects, overrides.canonicalSource), overrides)
+            });
+            const cached = this.getCachedProjects();
+
+            if (cached && typeof onUpdate === 'function') {
+                this.fetchAll()
+                    .then(result => {
+                        if (JSON.stringify(result.projects) !== JSON.stringify(cached)) {
+                            onUpdate(withOverrides(result));
+                        }
+                    })
+                    .catch(error => console.warn('Background project refresh failed:', error));
+
+                return withOverrides({ projects: cached, failures: [], warnings: [], snapshot: null });
+            }
+
+            return withOverrides(await this.fetchAll());
+        }
+
+        /**
+         * Load data/project-overrides.json:
+         *   featured: ["github/repo", "repo", ...]  pinned first, in this order
+         *   hidden:   ["github/repo", "repo", ...]  never listed
+         *   projects: { "github/repo": { description, image, imageAlt } }
+         *   canonicalSource: "gitlab"  which copy of a mirrored project to keep (see mergeMirrors)
+         * Entries are "source/name" or a bare name matching any source. description and
+         * imageAlt are a string or a { en, fr } map. A missing or invalid file means no overrides.
+         */
+        async loadOverrides() {
+            const empty = { featured: [], hidden: [], projects: {}, canonicalSource: null };
+            if (!this.overridesUrl) return empty;
+            if (this.overrides) return this.overrides;
+
+            try {
+                const response = await this.request(this.overridesUrl, { timeoutMessage: 'Overrides request timed out.' });
+                if (!response.ok) {
+                    throw new Error(`Overrides not available: ${response.status}`);
+                }
+
+                const data = await response.json();
+                if (!data || typeof data !== 'object') {
+                    throw new Error('Invalid overrides format');
+                }
+
+                const lowerKeys = (entries) => Object.fromEntries(
+                    Object.entries(entries).map(([key, value]) => [key.toLowerCase(), value])
+                );
+
+                this.overrides = {
+                    featured: Array.isArray(data.featured) ? data.featured.map(key => String(key).toLowerCase()) : [],
+                    hidden: Array.isArray(data.hidden) ? data.hidden.map(key => String(key).toLowerCase()) : [],
+                    projects: data.projects && typeof data.projects === 'object' ? lowerKeys(data.projects) : {},
+                    canonicalSource: typeof data.canonicalSource === 'string' ? data.canonicalSource : null
+                };
+            } catch (error) {
+                console.warn('Project overrides not applied:', error.message);
+                this.overrides = empty;
+            }
+
+            return this.overrides;
+        }
+
+        /**
+         * Collapse copies of one repository listed by several forges into a single project.
+         * Two projects are mirrors when one's mirror metadata points at the other, or when
+         * they share a name (ignoring case and punctuation) and a homepage or description.
+         * The copy from canonicalSource is kept, otherwise the first in PROJECT_SOURCES order;
+         * the others are listed in mirrors: [{ source, name, html_url, stargazers_count }].
+         * Stars are summed, topics combined and dates span all copies.
+         */
+        mergeMirrors(projects, canonicalSource = null) {
+            const order = this.providers.map(provider => provider.id);
+            const rank = source => (source === canonicalSource ? -1 : order.indexOf(source) === -1 ? order.length : order.indexOf(source));
+            const normalizeName = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const normalizeUrl = url => (url ? url.trim().toLowerCase().replace(/\/+$/, '').replace(/\.git$/, '') : null);
+            const normalizeText = text => (text ? text.trim().toLowerCase().replace(/\s+/g, ' ') : null);
+
+            const isMirror = (a, b) => {
+                const upstreamA = normalizeUrl(a.mirror_of);
+                const upstreamB = normalizeUrl(b.mirror_of);
+                if ((upstreamA && upstreamA === normalizeUrl(b.html_url)) || (upstreamB && upstreamB === normalizeUrl(a.html_url))) {
+                    return true;
+                }
+
+                if (normalizeName(a.name) !== normalizeName(b.name)) return false;
+                return Boolean(a.homepage && normalizeUrl(a.homepage) === normalizeUrl(b.homepage)) ||
+                    Boolean(a.description && normalizeText(a.description) === normalizeText(b.description));
+            };
+
+            // One copy per source in each group
+            const groups = [];
+            projects.forEach(project => {
+                const group = groups.find(members =>
+                    members.every(member => member.source !== project.source) &&
+                    members.some(member => isMirror(member, project)));
+                if (group) {
+                    group.push(project);
+                } else {
+                    groups.push([project]);
+                }
+            });
+
+            return groups.map(group => {
+                if (group.length === 1) return group[0];
+
+                const [canonical, ...mirrors] = [...group].sort((a, b) => rank(a.source) - rank(b.source));
+                const first = field => group.map(project => project[field]).find(Boolean) || null;
+                const dates = field => group.map(project => project[field]).filter(Boolean).sort();
+
+                return {
+                    ...canonical,
+                    description: canonical.description || first('description'),
+                    homepage: canonical.homepage || first('homepage'),
+                    language: canonical.language || first('language'),
+                    topics: [...new Set(group.flatMap(project => project.topics || []))],
+                    stargazers_count: group.reduce((sum, project) => sum + (project.stargazers_count || 0), 0),
+                    created_at: dates('created_at')[0] || canonical.created_at,
+                    updated_at: dates('updated_at').pop() || canonical.updated_at,
+                    mirrors: mirrors.map(mirror => ({
+                        source: mirror.source,
+                        name: mirror.name,
+                        html_url: mirror.html_url,
+                        stargazers_count: mirror.stargazers_count || 0
+                    }))
+                };
+            });
+        }
+
+        /**
+         * Drop hidden projects and annotate the rest with
+         *   featured: position in the featured list (undefined if not featured)
+         *   descriptions: { en, fr } override, resolved in the current language by
+         *                 ProjectCardRenderer.getDescription (cards, search, export)
+         *   image / image_alt: custom card image
+         */
+        applyOverrides(projects, overrides) {
+            // Most specific entry first: "source/name" (for each mirror too), then bare "name"
+            const keysFor = project => [
+                ...[project, ...(project.mirrors || [])].map(copy => `${copy.source}/${copy.name}`.toLowerCase()),
+                project.name.toLowerCase()
+            ];
+            const find = (list, project) => keysFor(project).map(key => list.indexOf(key)).find(index => index !== -1);
+
+            return projects
+                .filter(project => find(overrides.hidden, project) === undefined)
+                .map(project => {
+                    const key = keysFor(project).find(k => overrides.projects[k]);
+                    const override = key ? overrides.projects[key] : {};
+                    const featured = find(overrides.featured, project);
+                    const result = { ...project };
+
+                    if (featured !== undefined) {
+                        result.featured = featured;
+                    }
+
+                    if (override.description) {
+                        result.descriptions = typeof override.description === 'string'
+                            ? { en: override.description }
+                            : override.description;
+                    }
+
+                    if (override.image) {
+                        result.image = override.image;
+                        result.image_alt = override.imageAlt || null;
+                    }
+
+                    return result;
+                });
+        }
+
+        /**
+         * Cached projects from every provider, or null if nothing is cached yet
+         */
+        getCachedProjects() {
+            if (!this.cache) return null;
+
+            const entries = this.providers
+                .map(provider => this.cache.get(provider.id))
+                .filter(Boolean);
+
+            if (entries.length === 0) return null;
+
+            return entries.flatMap(entry => entry.projects);
+        }
+
+        async fetchAll() {
+            const results = await Promise.allSettled(
+                this.providers.map(provider => this.fetchWithCache(provider))
+            );
+
+            const projects = [];
+            const failures = [];
+            const warnings = [];
+
+            results.forEach((result, index) => {
+                const provider = this.providers[index];
+
+                if (result.status === 'fulfilled') {
+                    projects.push(...result.value.projects);
+                    if (result.value.warning) {
+                        warnings.push({ source: provider.id, error: result.value.warning });
+                    }
+                } else {
+                    console.warn(`${provider.label} fetch failed:`, result.reason);
+                    failures.push({ source: provider.id, error: result.reason });
+                }
+            });
+
+            // Fill in failed providers from the static snapshot
+            let snapshot = null;
+            if (failures.length > 0) {
+                const fallback = await this.loadSnapshot();
+                if (fallback) {
+                    const failedSources = failures.map(failure => failure.source);
+                    const snapshotProjects = fallback.projects.filter(project => failedSources.includes(project.source));
+                    if (snapshotProjects.length > 0) {
+                        projects.push(...snapshotProjects);
+                        snapshot = fallback.generated_at;
+                    }
+                }
+            }
+
+            return { projects, failures, warnings, snapshot };
+        }
+
+        /**
+         * Load the static snapshot written by scripts/build-projects-snapshot.js.
+         * Resolves with null when there is no usable snapshot (a missing file is not an error).
+         */
+        async loadSnapshot() {
+            if (!this.snapshotUrl) return null;
+            if (this.snapshot) return this.snapshot;
+
+            try {
+                const response = await this.request(this.snapshotUrl, { timeoutMessage: 'Snapshot request timed out.' });
+                if (response.status === 404) return null;
+                if (!response.ok) {
+                    throw new Error(`Snapshot not available: ${response.status}`);
+                }
+
+                const snapshot = await response.json();
+                if (!snapshot || !Array.isArray(snapshot.projects)) {
+                    throw new Error('Invalid snapshot format');
+                }
+
+                this.snapshot = snapshot;
+                return snapshot;
+            } catch (error) {
+                console.warn('Project snapshot fallback failed:', error.message);
+                return null;
+            }
+        }
+
+        /**
+         * Fetch every page of a provider listing through the cache.
+         * Fresh entries are returned without touching the network; expired ones are
+         * revalidated page by page with If-None-Match / If-Modified-Since, and a 304 (which
+         * GitHub does not count against the rate limit) reuses the cached page.
+         * All pages share one LISTING_TIMEOUT. A failure after the first page keeps the pages
+         * already loaded and resolves with the error as a warning.
+         * Resolves with { projects, warning }.
+         */
+        async fetchWithCache(provider) {
+            const source = provider.id;
+            const url = provider.listUrl;
+            const timeoutMessage = t('projects.error.timeout', '{source} request timed out. Please check your connection.', { source: provider.label });
+            const entry = this.cache ? this.cache.get(source) : null;
+
+            if (entry && this.cache.isFresh(entry)) {
+                return { projects: entry.projects, warning: null };
+            }
+
+            const cachedPages = entry ? entry.pages : [];
+            const pages = [];
+            let warning = null;
+            let nextUrl = url;
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.LISTING_TIMEOUT);
+
+            try {
+                while (nextUrl && pages.length < this.MAX_PAGES) {
+                    const cachedPage = cachedPages.find(page => page.url === nextUrl);
+
+                    try {
+                        const response = await this.request(nextUrl, {
+                            headers: this.getValidators(cachedPage),
+                            signal: controller.signal,
+                            timeoutMessage
+                        });
+
+                        if (response.status === 304 && cachedPage) {
+                            pages.push(cachedPage);
+                            nextUrl = cachedPage.nextUrl;
+                            continue;
+                        }
+
+                        provider.checkResponse(response);
+
+                        const candidate = provider.getNextUrl(response, nextUrl);
+                        const page = {
+                            url: nextUrl,
+                            nextUrl: candidate && isSameOrigin(candidate, url) ? candidate : null,
+                            etag: response.headers.get('ETag'),
+                            lastModified: response.headers.get('Last-Modified'),
+                            projects: provider.normalize(await response.json())
+                        };
+
+                        pages.push(page);
+                        nextUrl = page.nextUrl;
+                    } catch (caught) {
+                        // The shared deadline can also expire while a body is being read
+                        const error = caught.name === 'AbortError' ? new Error(timeoutMessage) : caught;
+                        if (pages.length === 0) throw error;
+
+                        // Keep what we have rather than dropping the whole listing
+                        console.warn(`${provider.label} listing stopped after page ${pages.length}:`, error.message);
+                        warning = error;
+                        nextUrl = null;
+                    }
+                }
+
+                if (nextUrl) {
+                    console.warn(`${provider.label} listing truncated at ${this.MAX_PAGES} pages`);
+                }
+            } catch (error) {
+                // Expired data beats no data
+                if (entry) {
+                    console.warn(`Using expired ${provider.label} cache:`, error.message);
+                    return { projects: entry.projects, warning: null };
+                }
+                throw error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            // Partial listings are not cached so the next visit tries again
+            if (this.cache && !warning) {
+                this.cache.set(source, pages);
+            }
+
+            return { projects: pages.flatMap(page => page.projects), warning };
+        }
+
+        getValidators(cachedPage) {
+            const headers = {};
+            if (cachedPage && cachedPage.etag) {
+                headers['If-None-Match'] = cachedPage.etag;
+            }
+            if (cachedPage && cachedPage.lastModified) {
+                headers['If-Modified-Since'] = cachedPage.lastModified;
+            }
+            return headers;
+        }
+
+        /**
+         * fetch() with a timeout and retries. Pass a signal to share an abort deadline across
+         * requests, otherwise each attempt gets its own API_TIMEOUT.
+         * Network errors, timeouts, 5xx responses and 429s are retried up to MAX_RETRIES times
+         * with exponential backoff and full jitter, or after Retry-After when the server sets
+         * one. Waits longer than MAX_RETRY_DELAY are not worth holding the page for: the
+         * response is returned and the caller reports the rate limit.
+         */
+        async request(url, { headers = {}, signal = null, timeoutMessage = 'Request timed out.', retries = this.MAX_RETRIES } = {}) {
+            for (let attempt = 0; ; attempt++) {
+                let response;
+
+                try {
+                    response = await this.attempt(url, { headers, signal, timeoutMessage });
+                } catch (error) {
+                    // An expired shared deadline leaves no time to retry
+                    if (attempt >= retries || (signal && signal.aborted)) throw error;
+
+                    console.warn(`Retrying ${url}:`, error.message);
+                    await this.wait(this.getRetryDelay(attempt), signal);
+                    continue;
+                }
+
+                if (attempt < retries && isTransient(response)) {
+                    const retryAfter = ForgeProviders.parseRetryAfter(response);
+                    const delay = retryAfter !== null ? retryAfter * 1000 : this.getRetryDelay(attempt);
+
+                    if (delay <= this.MAX_RETRY_DELAY) {
+                        console.warn(`Retrying ${url} after ${response.status}`);
+                        await this.wait(delay, signal);
+                        continue;
+                    }
+                }
+
+                return response;
+            }
+        }
+
+        async attempt(url, { headers, signal, timeoutMessage }) {
+            const controller = new AbortController();
+            const timeoutId = signal ? null : setTimeout(() => controller.abort(), this.API_TIMEOUT);
+
+            try {
+                return await this.fetch(url, { headers, signal: signal || controller.signal });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new Error(timeoutMessage);
+                }
+                throw error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+
+        /**
+         * Backoff before retry number attempt + 1: random in [0, RETRY_BASE_DELAY * 2^attempt]
+         */
+        getRetryDelay(attempt) {
+            return Math.random() * Math.min(this.MAX_RETRY_DELAY, this.RETRY_BASE_DELAY * 2 ** attempt);
+        }
+
+        /**
+         * Resolves after delay ms, or as soon as signal aborts (the next attempt then fails fast)
+         */
+        wait(delay, signal) {
+            return new Promise(resolve => {
+                if (signal && signal.aborted) {
+                    resolve();
+                    return;
+                }
+
+                const timeoutId = setTimeout(done, delay);
+                function done() {
+                    clearTimeout(timeoutId);
+                    if (signal) signal.removeEventListener('abort', done);
+                    resolve();
+                }
+                if (signal) signal.addEventListener('abort', done);
+            });
+        }
+
+        /**
+         * When the last rate-limited listing in failures can be fetched again
+         * (ms timestamp), or null when no failure was a rate limit with a known reset
+         */
+        getRateLimitReset(failures = []) {
+            const resets = failures
+                .map(failure => failure.error && failure.error.rateLimited ? failure.error.resetAt : null)
+                .filter(Boolean);
+
+            return resets.length > 0 ? Math.max(...resets) : null;
+        }
+
+        /**
+         * README, latest release and extra metadata for the detail drawer. Each part is
+         * optional: a missing README or release (404) resolves to null, other failures are
+         * collected in errors and the rest is still returned.
+         * Resolves with { readme: { text, path }, release, metadata, errors }.
+         */
+        async loadDetails(project) {
+            const key = `${project.source}/${project.name}`;
+            if (this.details.has(key)) {
+                return this.details.get(key);
+            }
+
+            const provider = this.providers.find(p => p.id === project.source);
+            // Projects from an old cache or snapshot may predate api_url
+            if (!provider || !project.api_url) {
+                return { readme: null, release: null, metadata: {}, errors: [] };
+            }
+
+            const [readme, release, metadata] = await Promise.allSettled([
+                this.fetchOptional(provider, provider.getReadmeUrl(project), response => provider.parseReadme(response)),
+                this.fetchOptional(provider, provider.getReleaseUrl(project), async response => provider.parseRelease(await response.json())),
+                this.fetchOptional(provider, provider.getMetadataUrl(project), async response => provider.parseMetadata(await response.json()))
+            ]);
+
+            const errors = [readme, release, metadata]
+                .filter(result => result.status === 'rejected')
+                .map(result => result.reason);
+
+            const details = {
+                readme: readme.status === 'fulfilled' ? readme.value : null,
+                release: release.status === 'fulfilled' ? release.value : null,
+                metadata: metadata.status === 'fulfilled' && metadata.value ? metadata.value : {},
+                errors
+            };
+
+            // Retry failed parts next time the drawer opens
+            if (errors.length === 0) {
+                this.details.set(key, details);
+            }
+
+            return details;
+        }
+
+        /**
+         * parse(response) for a resource that may not exist: null without a URL or on 404,
+         * provider errors (rate limits, 5xx) are thrown
+         */
+        async fetchOptional(provider, url, parse) {
+            if (!url) return null;
+
+            const response = await this.request(url, { timeoutMessage: 'Details request timed out.' });
+            if (response.status === 404) return null;
+            provider.checkResponse(response);
+            return parse(response);
+        }
+
+        /**
+         * Latest release (or tag), license and CI status for a project card. Each part is
+         * null when it does not exist or its request failed. Results are cached for CACHE_TTL
+         * (failed parts are retried next time); after a rate-limit response nothing is
+         * requested until the limit resets.
+         * Resolves with { release, license, ci }, or null when nothing can be fetched.
+         */
+        async loadCardDetails(project) {
+            const key = `${project.source}/${project.name}`;
+            const entry = this.readStore('projectCardDetails')[key];
+
+            if (entry && Date.now() - entry.timestamp < this.CACHE_TTL) {
+                return entry.details;
+            }
+            if (this.cardDetailsPausedUntil > Date.now()) {
+                return entry ? entry.details : null;
+            }
+
+            const provider = this.providers.find(p => p.id === project.source);
+            if (!provider || !project.api_url) return null;
+
+            const results = await Promise.allSettled([
+                this.fetchOptional(provider, provider.getReleaseUrl(project), async response => provider.parseRelease(await response.json())),
+                // GitHub and Gitea listings already carry the license
+                project.license ? null : this.fetchOptional(provider, provider.getMetadataUrl(project), async response => provider.parseMetadata(await response.json())),
+                provider.getCIStatusUrl
+                    ? this.fetchOptional(provider, provider.getCIStatusUrl(project), async response => provider.parseCIStatus(await response.json()))
+                    : null
+            ]);
+            const [latestRelease, metadata, ci] = results.map(result => result.status === 'fulfilled' ? result.value : null);
+            let release = latestRelease;
+
+            // No release (or a failed request): fall back to the latest tag
+            const rateLimited = results.some(result => result.status === 'rejected' && result.reason.rateLimited);
+            if (!release && provider.getTagUrl && !rateLimited) {
+                try {
+                    release = await this.fetchOptional(provider, provider.getTagUrl(project), async response => provider.parseTag(await response.json()));
+                } catch (error) {
+                    results.push({ status: 'rejected', reason: error });
+                }
+            }
+
+            const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+            errors.forEach(error => console.warn(`Card details for ${key} failed:`, error.message));
+
+            const rateLimit = errors.find(error => error.rateLimited);
+            if (rateLimit) {
+                this.cardDetailsPausedUntil = rateLimit.resetAt || Date.now() + this.CACHE_TTL;
+            }
+
+            const details = { release, license: metadata ? metadata.license || null : null, ci };
+
+            if (errors.length === 0) {
+                // Re-read: other cards may have been stored while these requests ran
+                const store = this.readStore('projectCardDetails');
+                store[key] = { details, timestamp: Date.now() };
+                this.writeStore('projectCardDetails', store);
+            }
+
+            return details;
+        }
+
+        /**
+         * Fill in primary language and per-language percentages from each project's
+         * languages_url (GitHub: bytes per language, GitLab: percentages).
+         * Requests run LANGUAGE_CONCURRENCY at a time, are cached for LANGUAGES_TTL and
+         * revalidated conditionally; the batch stops at the first rate-limit response
+         * (as told by the provider, a 403 for a private repository only skips that one).
+         * Resolves with enriched copies, projects without data are returned unchanged.
+         */
+        async loadLanguages(projects) {
+            const store = this.readStore('projectLanguages');
+            const now = Date.now();
+            const providers = new Map();
+            projects.forEach(project => {
+                const provider = this.providers.find(p => p.id === project.source);
+                if (provider && project.languages_url && !providers.has(project.languages_url)) {
+                    providers.set(project.languages_url, provider);
+                }
+            });
+            const queue = [...providers.keys()]
+                .filter(url => !store[url] || now - store[url].timestamp >= this.LANGUAGES_TTL);
+
+            let rateLimited = false;
+
+            const worker = async () => {
+                while (queue.length > 0 && !rateLimited) {
+                    const url = queue.shift();
+                    try {
+                        store[url] = await this.fetchLanguages(providers.get(url), url, store[url]);
+                    } catch (error) {
+                        if (error.rateLimited) {
+                            rateLimited = true;
+                        }
+                        console.warn('Language fetch failed:', url, error.message);
+                    }
+                }
+            };
+
+            if (queue.length > 0) {
+                await Promise.all(Array.from({ length: this.LANGUAGE_CONCURRENCY }, worker));
+                this.writeStore('projectLanguages', store);
+            }
+
+            return projects.map(project => {
+                const entry = store[project.languages_url];
+                if (!entry || entry.languages.length === 0) return project;
+
+                return {
+                    ...project,
+                    language: project.language || entry.languages[0].name,
+                    languages: entry.languages
+                };
+            });
+        }
+
+        async fetchLanguages(provider, url, cached) {
+            const response = await this.request(url, {
+                headers: this.getValidators(cached),
+                timeoutMessage: 'Language request timed out.'
+            });
+
+            if (response.status === 304 && cached) {
+                return { ...cached, timestamp: Date.now() };
+            }
+
+            provider.checkResponse(response);
+
+            return {
+                languages: this.toLanguagePercentages(await response.json()),
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+                timestamp: Date.now()
+            };
+        }
+
+        /**
+         * { Python: 1200, Shell: 300 } -> [{ name: 'Python', percent: 80 }, { name: 'Shell', percent: 20 }]
+         */
+        toLanguagePercentages(data) {
+            const entries = Object.entries(data || {}).filter(([, value]) => typeof value === 'number' && value > 0);
+            const total = entries.reduce((sum, [, value]) => sum + value, 0);
+            if (total === 0) return [];
+
+            return entries
+                .map(([name, value]) => ({ name, percent: Math.round(value / total * 1000) / 10 }))
+                .sort((a, b) => b.percent - a.percent);
+        }
+
+        /**
+         * Contributions per day over the last year, summed across forges, from each
+         * provider's events (getEventsUrl). Cached per provider for CACHE_TTL; an expired
+         * entry stands in when its provider fails.
+         * Resolves with { days: { 'YYYY-MM-DD': count }, sources, failures } where sources
+         * lists the providers that contributed and failures { source, error } the others.
+         */
+        async loadActivity() {
+            const store = this.readStore('projectActivity');
+            const now = Date.now();
+
+            const results = await Promise.allSettled(this.providers.map(async provider => {
+                const entry = store[provider.id];
+                if (entry && now - entry.timestamp < this.CACHE_TTL) return entry.days;
+
+                try {
+                    const days = await this.fetchActivity(provider);
+                    if (days) {
+                        store[provider.id] = { days, timestamp: Date.now() };
+                    }
+                    return days;
+                } catch (error) {
+                    // Expired data beats no data
+                    if (entry) {
+                        console.warn(`Using expired ${provider.label} activity:`, error.message);
+                        return entry.days;
+                    }
+                    throw error;
+                }
+            }));
+
+            this.writeStore('projectActivity', store);
+
+            const days = {};
+            const sources = [];
+            const failures = [];
+
+            results.forEach((result, index) => {
+                const provider = this.providers[index];
+
+                if (result.status === 'rejected') {
+                    console.warn(`${provider.label} activity failed:`, result.reason);
+                    failures.push({ source: provider.id, error: result.reason });
+                    return;
+                }
+                if (!result.value) return;
+
+                sources.push(provider.id);
+                Object.entries(result.value).forEach(([day, count]) => {
+                    days[day] = (days[day] || 0) + count;
+                });
+            });
+
+            return { days, sources, failures };
+        }
+
+        /**
+         * Up to ACTIVITY_PAGES pages of a provider's events, tallied per local day.
+         * Resolves with null for providers without an events endpoint.
+         */
+        async fetchActivity(provider) {
+            const startUrl = provider.getEventsUrl ? provider.getEventsUrl() : null;
+            if (!startUrl) return null;
+
+            const since = Date.now() - 365 * 24 * 60 * 60 * 1000;
+            const days = {};
+            let url = startUrl;
+
+            for (let page = 0; url && page < this.ACTIVITY_PAGES; page++) {
+                const response = await this.request(url, { timeoutMessage: 'Activity request timed out.' });
+                provider.checkResponse(response);
+
+                provider.parseEvents(await response.json()).forEach(({ date, count }) => {
+                    const time = new Date(date);
+                    if (isNaN(time) || time < since) return;
+
+                    const day = toDayKey(time);
+                    days[day] = (days[day] || 0) + (Number(count) || 0);
+                });
+
+                const next = provider.getNextUrl(response, url);
+                url = next && isSameOrigin(next, startUrl) ? next : null;
+            }
+
+            return days;
+        }
+
+        /**
+         * Commits per week over the last year (52 numbers, oldest first) for card sparklines.
+         * Only the COMMIT_ACTIVITY_LIMIT most recently updated projects are fetched, since
+         * every project costs a request. Requests run ACTIVITY_CONCURRENCY at a time, entries
+         * are cached for ACTIVITY_TTL and the batch stops at the first rate-limit response.
+         * Resolves with copies of projects carrying commit_activity where it is known.
+         */
+        async loadCommitActivity(projects) {
+            const store = this.readStore('projectCommitActivity');
+            const now = Date.now();
+
+            const getUrl = project => {
+                const provider = this.providers.find(p => p.id === project.source);
+                if (!provider || !provider.getCommitActivityUrl || !project.api_url) return null;
+                return provider.getCommitActivityUrl(project);
+            };
+
+            const queue = [...projects]
+                .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))
+                .slice(0, this.COMMIT_ACTIVITY_LIMIT)
+                .map(project => ({ project, url: getUrl(project) }))
+                .filter(({ url }) => url && (!store[url] || now - store[url].timestamp >= this.ACTIVITY_TTL));
+
+            let rateLimited = false;
+
+            const worker = async () => {
+                while (queue.length > 0 && !rateLimited) {
+                    const { project, url } = queue.shift();
+                    const provider = this.providers.find(p => p.id === project.source);
+
+                    try {
+                        const response = await this.request(url, { timeoutMessage: 'Commit activity request timed out.' });
+
+                        // Statistics still being computed; try again on a later visit
+                        if (response.status === 202) continue;
+
+                        provider.checkResponse(response);
+                        const weeks = provider.parseCommitActivity(await response.json());
+                        if (weeks) {
+                            store[url] = { weeks, timestamp: Date.now() };
+                        }
+                    } catch (error) {
+                        if (error.rateLimited) {
+                            rateLimited = true;
+                        }
+                        console.warn('Commit activity fetch failed:', url, error.message);
+                    }
+                }
+            };
+
+            if (queue.length > 0) {
+                await Promise.all(Array.from({ length: this.ACTIVITY_CONCURRENCY }, worker));
+                this.writeStore('projectCommitActivity', store);
+            }
+
+            return projects.map(project => {
+                const url = getUrl(project);
+                const entry = url ? store[url] : null;
+                return entry ? { ...project, commit_activity: entry.weeks } : project;
+            });
+        }
+
+        /**
+         * Plain object kept in localStorage under key (skipped when caching is disabled)
+         */
+        readStore(key) {
+            if (!this.cache) return {};
+
+            try {
+                const store = JSON.parse(localStorage.getItem(key));
+                return store && typeof store === 'object' ? store : {};
+            } catch (error) {
+                console.error(`Error reading ${key} cache:`, error);
+                return {};
+            }
+        }
+
+        writeStore(key, store) {
+            if (!this.cache) return;
+
+            try {
+                localStorage.setItem(key, JSON.stringify(store));
+            } catch (error) {
+                console.error(`Error writing ${key} cache:`, error);
+            }
+        }
+    }
+
+    ProjectDataService.toDayKey = toDayKey;
+
+    if (typeof window !== 'undefined') {
+        window.ProjectCache = ProjectCache;
+        window.ProjectDataService = ProjectDataService;
+    }
+
+    // Export for Node scripts
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ProjectCache, ProjectDataService };
+    }
+})();
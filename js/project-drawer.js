@@ -0,0 +1,297 @@
+// Project Drawer - in-page project details: metadata, latest release and README
+(function() {
+    'use strict';
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = window.I18nManager.tr;
+
+    function formatDate(value) {
+        const date = new Date(value);
+        if (!value || isNaN(date)) return null;
+
+        const lang = window.i18n ? window.i18n.getLang() : 'en';
+        return date.toLocaleDateString(lang, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    // Relative README path -> path from the repository root ("../a.png" from "docs/README.md")
+    function resolvePath(path, readmePath) {
+        const url = new URL(path, `file:///${readmePath}`);
+        return url.pathname.slice(1) + url.search + url.hash;
+    }
+
+    class ProjectDrawer {
+        /**
+         * dataService: ProjectDataService (loadDetails)
+         * renderer: ProjectCardRenderer (providers, URL validation, sanitizing)
+         * onClose: called after the dialog closes, however it was closed
+         */
+        constructor({ dataService, renderer, onClose = () => {} }) {
+            this.dataService = dataService;
+            this.renderer = renderer;
+            this.onClose = onClose;
+            this.project = null;
+
+            this.createDialog();
+        }
+
+        createDialog() {
+            const dialog = document.createElement('dialog');
+            dialog.className = 'project-drawer';
+            dialog.setAttribute('aria-labelledby', 'project-drawer-title');
+
+            const header = document.createElement('div');
+            header.className = 'project-drawer__header';
+
+            this.title = document.createElement('h2');
+            this.title.className = 'project-drawer__title';
+            this.title.id = 'project-drawer-title';
+
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'project-drawer__close';
+            closeButton.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>`;
+            closeButton.addEventListener('click', () => this.close());
+
+            header.appendChild(this.title);
+            header.appendChild(closeButton);
+
+            this.description = document.createElement('p');
+            this.description.className = 'project-drawer__description';
+
+            this.links = document.createElement('div');
+            this.links.className = 'project-drawer__links';
+
+            this.meta = document.createElement('dl');
+            this.meta.className = 'project-drawer__meta';
+
+            this.readme = document.createElement('div');
+            this.readme.className = 'project-drawer__readme';
+
+            // The dialog itself has no padding, so clicks landing on it are backdrop clicks
+            const body = document.createElement('div');
+            body.className = 'project-drawer__body';
+            body.appendChild(header);
+            body.appendChild(this.description);
+            body.appendChild(this.links);
+            body.appendChild(this.meta);
+            body.appendChild(this.readme);
+            dialog.appendChild(body);
+
+            dialog.addEventListener('click', (e) => {
+                if (e.target === dialog) this.close();
+            });
+            dialog.addEventListener('close', () => {
+                this.project = null;
+                document.body.style.overflow = '';
+                this.onClose();
+            });
+
+            document.body.appendChild(dialog);
+            this.dialog = dialog;
+            this.closeButton = closeButton;
+            this.updateLabels();
+        }
+
+        /**
+         * Labels set once on creation, again after a language switch
+         */
+        updateLabels() {
+            this.closeButton.setAttribute('aria-label', t('projects.drawer.close', 'Close project details'));
+        }
+
+        isOpen() {
+            return this.dialog.open;
+        }
+
+        async open(project) {
+            this.project = project;
+            const provider = this.renderer.getProvider(project.source);
+
+            this.title.textContent = project.name;
+            this.description.textContent = this.renderer.getDescription(project) || t('projects.noDescription', 'No description available');
+            this.renderLinks(project, provider);
+            this.renderMeta(project, { release: null, metadata: {} });
+            this.setReadmeStatus(t('projects.drawer.loadingReadme', 'Loading README...'));
+
+            if (!this.dialog.open) {
+                this.dialog.showModal();
+                document.body.style.overflow = 'hidden';
+            }
+            this.dialog.scrollTop = 0;
+
+            const details = await this.dataService.loadDetails(project);
+
+            // Closed, or switched to another project, while loading
+            if (this.project !== project) return;
+
+            this.renderMeta(project, details);
+
+            if (details.readme) {
+                this.renderReadme(project, provider, details.readme);
+            } else if (details.errors.length > 0) {
+                this.setReadmeStatus(t('projects.drawer.readmeError', 'The README could not be loaded: {error}', {
+                    error: details.errors[0].message
+                }));
+            } else {
+                this.setReadmeStatus(t('projects.drawer.noReadme', 'This project has no README.'));
+            }
+        }
+
+        close() {
+            if (this.dialog.open) {
+                this.dialog.close();
+            }
+        }
+
+        renderLinks(project, provider) {
+            this.links.textContent = '';
+
+            const addLink = (url, label) => {
+                const href = this.renderer.isValidURL(url);
+                if (!href) return;
+
+                const link = document.createElement('a');
+                link.className = 'btn btn--secondary project-drawer__link';
+                link.href = href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = label;
+                this.links.appendChild(link);
+            };
+
+            addLink(project.html_url, t('projects.drawer.viewSource', 'View on {source}', {
+                source: provider ? provider.label : project.source
+            }));
+            (project.mirrors || []).forEach(mirror => {
+                const mirrorProvider = this.renderer.getProvider(mirror.source);
+                addLink(mirror.html_url, t('projects.drawer.viewSource', 'View on {source}', {
+                    source: mirrorProvider ? mirrorProvider.label : mirror.source
+                }));
+            });
+            addLink(project.homepage, t('projects.drawer.homepage', 'Website'));
+        }
+
+        /**
+         * Metadata list; rows without a value are left out
+         */
+        renderMeta(project, { release, metadata }) {
+            this.meta.textContent = '';
+
+            const addRow = (label, value) => {
+                if (value === null || value === undefined || value === '') return;
+
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const definition = document.createElement('dd');
+                if (value instanceof Node) {
+                    definition.appendChild(value);
+                } else {
+                    definition.textContent = value;
+                }
+                this.meta.appendChild(term);
+                this.meta.appendChild(definition);
+            };
+
+            addRow(t('projects.drawer.language', 'Language'), project.language);
+            addRow(t('projects.drawer.stars', 'Stars'), project.stargazers_count);
+            addRow(t('projects.drawer.license', 'License'), project.license || metadata.license);
+            addRow(t('projects.drawer.created', 'Created'), formatDate(project.created_at));
+            addRow(t('projects.drawer.updated', 'Last updated'), formatDate(project.updated_at));
+            addRow(t('projects.drawer.defaultBranch', 'Default branch'), project.default_branch);
+            addRow(t('projects.drawer.openIssues', 'Open issues'), project.open_issues_count);
+
+            if (release) {
+                const url = this.renderer.isValidURL(release.url);
+                const label = formatDate(release.published_at)
+                    ? `${release.name} (${formatDate(release.published_at)})`
+                    : release.name;
+                let value = label;
+
+                if (url) {
+                    value = document.createElement('a');
+                    value.href = url;
+                    value.target = '_blank';
+                    value.rel = 'noopener noreferrer';
+                    value.textContent = label;
+                }
+                addRow(t('projects.drawer.latestRelease', 'Latest release'), value);
+            }
+        }
+
+        setReadmeStatus(message) {
+            this.readme.textContent = '';
+            const status = document.createElement('p');
+            status.className = 'project-drawer__status';
+            status.textContent = message;
+            this.readme.appendChild(status);
+        }
+
+        /**
+         * Render README Markdown. Raw HTML is only kept when DOMPurify is there to clean it;
+         * relative links and images are pointed at the forge.
+         */
+        renderReadme(project, provider, readme) {
+            const hasPurify = typeof DOMPurify !== 'undefined';
+            let html = new MarkdownRenderer({ allowHtml: hasPurify }).render(readme.text);
+
+            if (hasPurify) {
+                html = DOMPurify.sanitize(html, { FORBID_TAGS: ['style', 'form'], FORBID_ATTR: ['style'] });
+            }
+
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            this.rewriteLinks(template.content, project, provider, readme.path || 'README.md');
+
+            this.readme.textContent = '';
+            this.readme.appendChild(template.content);
+        }
+
+        rewriteLinks(root, project, provider, readmePath) {
+            const isRelative = url => !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+
+            root.querySelectorAll('a[href]').forEach(link => {
+                let href = link.getAttribute('href');
+
+                if (href.startsWith('#')) {
+                    // In-README anchors would clobber the drawer's own hash
+                    href = provider.getFileUrl(project, readmePath, false) + href;
+                } else if (isRelative(href)) {
+                    href = provider.getFileUrl(project, resolvePath(href, readmePath), false);
+                }
+
+                const url = href.startsWith('mailto:') ? href : this.renderer.isValidURL(href);
+                if (!url) {
+                    link.removeAttribute('href');
+                    return;
+                }
+
+                link.setAttribute('href', url);
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            });
+
+            root.querySelectorAll('img[src]').forEach(image => {
+                let src = image.getAttribute('src');
+                if (isRelative(src)) {
+                    src = provider.getFileUrl(project, resolvePath(src, readmePath), true);
+                }
+
+                const url = this.renderer.isValidURL(src);
+                if (!url) {
+                    image.remove();
+                    return;
+                }
+
+                image.setAttribute('src', url);
+                // srcset candidates would resolve against this page
+                image.removeAttribute('srcset');
+                image.loading = 'lazy';
+            });
+        }
+    }
+
+    window.ProjectDrawer = ProjectDrawer;
+})();
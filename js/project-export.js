@@ -0,0 +1,255 @@
+// Project Export - the filtered project list as files for reports and citations
+// CSV, JSON, a Markdown table, BibTeX @software entries and CITATION.cff documents,
+// built from name, URL, description and dates and downloaded through a Blob URL.
+(function() {
+    'use strict';
+
+    const I18nManager = typeof window !== 'undefined' && window.I18nManager
+        ? window.I18nManager
+        : require('./i18n.js');
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = I18nManager.tr;
+
+    const FORMATS = {
+        csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', type: 'application/json' },
+        markdown: { extension: 'md', type: 'text/markdown;charset=utf-8' },
+        bibtex: { extension: 'bib', type: 'application/x-bibtex;charset=utf-8' },
+        cff: { extension: 'cff', type: 'application/x-yaml;charset=utf-8' }
+    };
+
+    // "2024-03-15T10:00:00Z" -> "2024-03-15", '' for a missing or invalid date
+    function isoDate(value) {
+        const date = new Date(value);
+        return !value || isNaN(date) ? '' : date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * RFC 4180 field. Cells starting like a formula are prefixed with ' so spreadsheets
+     * show them as text instead of evaluating them.
+     */
+    function csvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function markdownCell(value) {
+        return String(value || '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    }
+
+    // Link target inside a table cell: characters that would end the link or the cell are percent-encoded
+    function markdownUrl(value) {
+        return String(value || '').replace(/[\s()<>|]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    }
+
+    // Escape BibTeX special characters in a field value
+    function bibtexText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\textbackslash{}')
+            .replace(/([{}%&$#_])/g, '\\$1')
+            .replace(/\^/g, '\\textasciicircum{}')
+            .replace(/~/g, '\\textasciitilde{}');
+    }
+
+    // YAML scalar; JSON strings are valid double-quoted YAML
+    function yamlString(value) {
+        return JSON.stringify(String(value || ''));
+    }
+
+    class ProjectExporter {
+        /**
+         * renderer: ProjectCardRenderer (source labels, localized descriptions)
+         * author: credited in the citation formats
+         */
+        constructor({ renderer, author = '' }) {
+            this.renderer = renderer;
+            this.author = author;
+        }
+
+        /**
+         * Flat record per project: the fields every format draws from
+         */
+        toRecord(project) {
+            const sources = this.renderer.getSources(project).map(source => {
+                const provider = this.renderer.getProvider(source);
+                return provider ? provider.label : source;
+            });
+
+            return {
+                name: project.name,
+                description: this.renderer.getDescription(project) || '',
+                url: project.html_url,
+                homepage: project.homepage || '',
+                sources,
+                language: project.language || '',
+                topics: project.topics || [],
+                stars: project.stargazers_count || 0,
+                created: isoDate(project.created_at),
+                updated: isoDate(project.updated_at)
+            };
+        }
+
+        /**
+         * File contents for projects in one of FORMATS
+         */
+        serialize(format, projects) {
+            const records = projects.map(project => this.toRecord(project));
+
+            switch (format) {
+                case 'csv':
+                    return this.toCSV(records);
+                case 'json':
+                    return JSON.stringify(records, null, 2) + '\n';
+                case 'markdown':
+                    return this.toMarkdown(records);
+                case 'bibtex':
+                    return this.toBibTeX(records);
+                case 'cff':
+                    return this.toCFF(records);
+                default:
+                    throw new Error(`Unknown export format: ${format}`);
+            }
+        }
+
+        toCSV(records) {
+            const columns = ['name', 'description', 'url', 'homepage', 'sources', 'language', 'topics', 'stars', 'created', 'updated'];
+            const rows = records.map(record => columns.map(column => {
+                const value = record[column];
+                return csvField(Array.isArray(value) ? value.join('; ') : value);
+            }).join(','));
+
+            // Byte order mark so spreadsheet apps read the file as UTF-8
+            return '\uFEFF' + [columns.join(','), ...rows].join('\r\n') + '\r\n';
+        }
+
+        toMarkdown(records) {
+            const header = [
+                t('projects.table.name', 'Name'),
+                t('projects.export.description', 'Description'),
+                t('projects.table.language', 'Language'),
+                t('projects.table.stars', 'Stars'),
+                t('projects.table.updated', 'Updated')
+            ];
+
+            const rows = records.map(record => [
+                `[${markdownCell(record.name).replace(/[[\]]/g, '\\$&')}](${markdownUrl(record.url)})`,
+                markdownCell(record.description),
+                markdownCell(record.language),
+                record.stars,
+                record.updated
+            ]);
+
+            return [header, header.map(() => '---'), ...rows]
+                .map(cells => `| ${cells.join(' | ')} |`)
+                .join('\n') + '\n';
+        }
+
+        /**
+         * Citation key: author's last name, year of the entry's date (left out when the
+         * date is unknown), project name ("decuyper2024saxsanalysis")
+         */
+        citationKey(record) {
+            const surname = this.author.trim().split(/\s+/).slice(1).join('') || this.author;
+            const year = (record.updated || '').slice(0, 4);
+            return `${surname}${year}${record.name}`
+                .normalize('NFD')
+                .replace(/[^A-Za-z0-9]/g, '')
+                .toLowerCase() || 'software';
+        }
+
+        toBibTeX(records) {
+            const used = new Map();
+
+            return records.map(record => {
+                // Same-named projects on different forges get a, b, ... suffixes
+                let key = this.citationKey(record);
+                const count = used.get(key) || 0;
+                used.set(key, count + 1);
+                if (count > 0) key += String.fromCharCode(97 + (count - 1) % 26);
+
+                const fields = [
+                    ['title', bibtexText(record.name)],
+                    ['author', bibtexText(this.author)],
+                    ['date', record.updated],
+                    ['url', record.url],
+                    ['note', bibtexText(record.description)]
+                ].filter(([, value]) => value);
+
+                return `@software{${key},\n${fields.map(([field, value]) => `  ${field} = {${value}}`).join(',\n')}\n}`;
+            }).join('\n\n') + '\n';
+        }
+
+        /**
+         * One CITATION.cff (1.2.0) document per project, separated with ---
+         */
+        toCFF(records) {
+            return records.map(record => {
+                const lines = [
+                    'cff-version: 1.2.0',
+                    `message: ${yamlString(t('projects.export.citeMessage', 'If you use this software, please cite it as below.'))}`,
+                    'type: software',
+                    `title: ${yamlString(record.name)}`,
+                    'authors:',
+                    `  - name: ${yamlString(this.author)}`,
+                    `repository-code: ${yamlString(record.url)}`
+                ];
+
+                if (record.homepage) lines.push(`url: ${yamlString(record.homepage)}`);
+                if (record.description) lines.push(`abstract: ${yamlString(record.description)}`);
+                if (record.updated) lines.push(`date-released: ${record.updated}`);
+                if (record.topics.length > 0) {
+                    lines.push('keywords:', ...record.topics.map(topic => `  - ${yamlString(topic)}`));
+                }
+
+                return lines.join('\n');
+            }).join('\n---\n') + '\n';
+        }
+
+        /**
+         * "projects-2026-10-19.csv", with the base name in the current language
+         */
+        getFilename(format) {
+            const base = t('projects.export.filename', 'projects')
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .replace(/[^A-Za-z0-9]+/g, '-')
+                .replace(/^-|-$/g, '')
+                .toLowerCase() || 'projects';
+
+            return `${base}-${isoDate(new Date().toISOString())}.${FORMATS[format].extension}`;
+        }
+
+        /**
+         * Save projects as a file in the given format
+         */
+        download(format, projects) {
+            const blob = new Blob([this.serialize(format, projects)], { type: FORMATS[format].type });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = this.getFilename(format);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            // Give the download a moment to start before releasing the Blob
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+    }
+
+    ProjectExporter.FORMATS = Object.keys(FORMATS);
+
+    if (typeof window !== 'undefined') {
+        window.ProjectExporter = ProjectExporter;
+    }
+
+    // Export for Node scripts
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProjectExporter;
+    }
+})();
@@ -0,0 +1,362 @@
+// Project Search - query language for the projects page
+//
+// Free text matches name, description and topics (typo tolerant). Qualifiers:
+//   topic:physics   lang:python   source:gitlab   name:saxs
+//   stars:>5  stars:<=10  stars:2..8
+//   updated:>2024-01  created:<2023  created:2024-03-15
+// Prefix any term with "-" to exclude it, quote phrases: "neutron scattering".
+(function() {
+    'use strict';
+
+    const FIELD_ALIASES = {
+        topic: 'topic',
+        topics: 'topic',
+        tag: 'topic',
+        lang: 'language',
+        language: 'language',
+        stars: 'stars',
+        star: 'stars',
+        updated: 'updated',
+        created: 'created',
+        source: 'source',
+        name: 'name'
+    };
+
+    /**
+     * Optimal string alignment distance (Levenshtein + adjacent transpositions),
+     * giving up once it exceeds max
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+
+                nextRow.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    // Typos allowed for a term of this length
+    function tolerance(term) {
+        if (term.length <= 3) return 0;
+        if (term.length <= 6) return 1;
+        return 2;
+    }
+
+    function fuzzyEquals(word, term) {
+        return editDistance(word, term, tolerance(term)) <= tolerance(term);
+    }
+
+    // Split into lowercase words, with their offsets in the original text
+    function words(text) {
+        const result = [];
+        const pattern = /[\p{L}\p{N}]+/gu;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            result.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+        }
+        return result;
+    }
+
+    /**
+     * text.toLowerCase() with, for each of its positions, the [start, end) of the character
+     * it came from in text. Lowercasing can change the length ("İ" -> "i̇"), so offsets in
+     * the lowered text cannot be used on the original directly.
+     */
+    function lowerWithOffsets(text) {
+        let lower = '';
+        const starts = [];
+        const ends = [];
+        let index = 0;
+
+        for (const char of text) {
+            const lowered = char.toLowerCase();
+            for (let i = 0; i < lowered.length; i++) {
+                starts.push(index);
+                ends.push(index + char.length);
+            }
+            lower += lowered;
+            index += char.length;
+        }
+
+        return { lower, starts, ends };
+    }
+
+    /**
+     * "2024" / "2024-01" / "2024-01-15" -> [start, end) timestamps, or null
+     */
+    function parsePeriod(value) {
+        const match = value.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (!match) return null;
+
+        const year = parseInt(match[1], 10);
+        const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+        const day = match[3] ? parseInt(match[3], 10) : null;
+
+        if (day !== null) {
+            return [Date.UTC(year, month, day), Date.UTC(year, month, day + 1)];
+        }
+        if (month !== null) {
+            return [Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1)];
+        }
+        return [Date.UTC(year, 0, 1), Date.UTC(year + 1, 0, 1)];
+    }
+
+    /**
+     * ">5", ">=5", "<5", "<=5", "5", "2..8" -> predicate on a number
+     */
+    function parseNumberRange(value) {
+        const range = value.match(/^(\d+)\.\.(\d+)$/);
+        if (range) {
+            const min = parseInt(range[1], 10);
+            const max = parseInt(range[2], 10);
+            return n => n >= min && n <= max;
+        }
+
+        const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+        if (!match) return null;
+
+        const limit = parseInt(match[2], 10);
+        switch (match[1]) {
+            case '>': return n => n > limit;
+            case '>=': return n => n >= limit;
+            case '<': return n => n < limit;
+            case '<=': return n => n <= limit;
+            default: return n => n === limit;
+        }
+    }
+
+    /**
+     * ">2024-01" etc. -> predicate on a date string. Comparisons are against the whole
+     * period: ">2024-01" means after January 2024, "<2024-01" before it.
+     */
+    function parseDateRange(value) {
+        const match = value.match(/^(>=|<=|>|<|=)?(.+)$/);
+        const period = parsePeriod(match[2]);
+        if (!period) return null;
+
+        const [start, end] = period;
+        return (dateString) => {
+            const time = new Date(dateString).getTime();
+            if (isNaN(time)) return false;
+
+            switch (match[1]) {
+                case '>': return time >= end;
+                case '>=': return time >= start;
+                case '<': return time < start;
+                case '<=': return time < end;
+                default: return time >= start && time < end;
+            }
+        };
+    }
+
+    class ProjectSearch {
+        /**
+         * query: raw search box text
+         * sources: optional [{ id, label }] so source: also matches provider labels
+         * getDescription: optional project -> description as shown (localized overrides)
+         */
+        constructor(query = '', sources = [], getDescription = project => project.description) {
+            this.query = query;
+            this.sources = sources;
+            this.getDescription = getDescription;
+            this.terms = this.parse(query);
+        }
+
+        parse(query) {
+            const terms = [];
+            const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+            let match;
+
+            while ((match = pattern.exec(query)) !== null) {
+                const negate = match[1] === '-';
+                const fieldName = match[2] ? match[2].toLowerCase() : null;
+                const value = (match[3] !== undefined ? match[3] : match[4] || '').toLowerCase().trim();
+                const field = fieldName ? FIELD_ALIASES[fieldName] : 'text';
+
+                if (!value) continue;
+
+                if (!field) {
+                    // Unknown qualifier: search for the literal text
+                    terms.push({ field: 'text', value: `${fieldName}:${value}`, negate });
+                    continue;
+                }
+
+                const term = { field, value, negate };
+
+                if (field === 'stars') {
+                    term.test = parseNumberRange(value);
+                } else if (field === 'updated' || field === 'created') {
+                    term.test = parseDateRange(value);
+                }
+
+                // Malformed numeric/date qualifiers are ignored rather than matching nothing
+                if ((field === 'stars' || field === 'updated' || field === 'created') && !term.test) {
+                    continue;
+                }
+
+                terms.push(term);
+            }
+
+            return terms;
+        }
+
+        isEmpty() {
+            return this.terms.length === 0;
+        }
+
+        /**
+         * Positive free-text terms, the ones that drive relevance and highlighting
+         */
+        getTextTerms() {
+            return this.terms.filter(term => term.field === 'text' && !term.negate).map(term => term.value);
+        }
+
+        matches(project) {
+            return this.terms.every(term => this.matchTerm(project, term) !== term.negate);
+        }
+
+        matchTerm(project, term) {
+            switch (term.field) {
+                case 'topic':
+                    return (project.topics || []).some(topic => this.matchText(topic, term.value));
+                case 'language': {
+                    const languages = [project.language, ...(project.languages || []).map(language => language.name)]
+                        .filter(Boolean)
+                        .map(language => language.toLowerCase());
+                    return languages.some(language => language === term.value || fuzzyEquals(language, term.value));
+                }
+                case 'stars':
+                    return term.test(project.stargazers_count || 0);
+                case 'updated':
+                    return term.test(project.updated_at);
+                case 'created':
+                    return term.test(project.created_at);
+                case 'source': {
+                    // Mirrored projects match every forge they are on
+                    const ids = [project.source, ...(project.mirrors || []).map(mirror => mirror.source)];
+                    const names = ids.flatMap(id => {
+                        const source = this.sources.find(s => s.id === id);
+                        return [id, source ? source.label : null, source ? source.type : null];
+                    })
+                        .filter(Boolean)
+                        .map(name => name.toLowerCase());
+                    return names.some(name => name === term.value || name.startsWith(term.value));
+                }
+                case 'name':
+                    return this.matchText(project.name, term.value);
+                default:
+                    return this.matchText(project.name, term.value) ||
+                        this.matchText(this.getDescription(project), term.value) ||
+                        (project.topics || []).some(topic => this.matchText(topic, term.value));
+            }
+        }
+
+        /**
+         * Substring match, or any word within typo tolerance of a single-word term
+         */
+        matchText(text, term) {
+            if (!text) return false;
+
+            const lower = text.toLowerCase();
+            if (lower.includes(term)) return true;
+            if (/\s/.test(term) || tolerance(term) === 0) return false;
+
+            return words(text).some(({ word }) => fuzzyEquals(word, term));
+        }
+
+        /**
+         * Relevance of a matching project: exact beats substring beats fuzzy,
+         * name beats topics beats description. Stars break ties.
+         */
+        score(project) {
+            let score = 0;
+
+            this.getTextTerms().forEach(term => {
+                score += this.scoreText(project.name, term, 10);
+                score += Math.max(0, ...(project.topics || []).map(topic => this.scoreText(topic, term, 5)));
+                score += this.scoreText(this.getDescription(project), term, 2);
+            });
+
+            return score + Math.log10((project.stargazers_count || 0) + 1);
+        }
+
+        scoreText(text, term, weight) {
+            if (!text) return 0;
+
+            const lower = text.toLowerCase();
+            if (lower === term) return weight * 2;
+            if (words(text).some(({ word }) => word === term)) return weight * 1.5;
+            if (lower.includes(term)) return weight;
+            if (this.matchText(text, term)) return weight / 2;
+            return 0;
+        }
+
+        /**
+         * [start, end) ranges of text matched by the free-text terms, merged and sorted
+         */
+        getMatches(text) {
+            if (!text) return [];
+
+            const { lower, starts, ends } = lowerWithOffsets(text);
+            const ranges = [];
+
+            this.getTextTerms().forEach(term => {
+                let index = lower.indexOf(term);
+                while (index !== -1) {
+                    ranges.push([starts[index], ends[index + term.length - 1]]);
+                    index = lower.indexOf(term, index + term.length);
+                }
+
+                if (!/\s/.test(term) && tolerance(term) > 0) {
+                    words(text).forEach(({ word, start, end }) => {
+                        if (!word.includes(term) && fuzzyEquals(word, term)) {
+                            ranges.push([start, end]);
+                        }
+                    });
+                }
+            });
+
+            ranges.sort((a, b) => a[0] - b[0]);
+
+            return ranges.reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push([...range]);
+                }
+                return merged;
+            }, []);
+        }
+    }
+
+    if (typeof window !== 'undefined') {
+        window.ProjectSearch = ProjectSearch;
+    }
+
+    // Export for Node scripts
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProjectSearch;
+    }
+})();
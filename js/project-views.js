@@ -0,0 +1,251 @@
+// Project Views - alternative layouts for the projects page
+// Grid (cards), timeline by creation year, groups by language and a sortable table,
+// all rendered from the same filtered project list.
+(function() {
+    'use strict';
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = window.I18nManager.tr;
+
+    const VIEWS = ['grid', 'timeline', 'language', 'table'];
+
+    // Table columns; dates and stars sort descending first, text ascending
+    const COLUMNS = [
+        { key: 'name', label: ['projects.table.name', 'Name'], direction: 'asc' },
+        { key: 'source', label: ['projects.table.source', 'Source'], direction: 'asc' },
+        { key: 'language', label: ['projects.table.language', 'Language'], direction: 'asc' },
+        { key: 'stars', label: ['projects.table.stars', 'Stars'], direction: 'desc' },
+        { key: 'created', label: ['projects.table.created', 'Created'], direction: 'desc' },
+        { key: 'updated', label: ['projects.table.updated', 'Updated'], direction: 'desc' }
+    ];
+
+    class ProjectViewRenderer {
+        /**
+         * cardRenderer: ProjectCardRenderer used for cards, sanitizing and source labels
+         */
+        constructor(cardRenderer) {
+            this.cards = cardRenderer;
+        }
+
+        /**
+         * HTML for projects in the given view.
+         * options.cardOptions: passed to createProjectCard (highlighting, topic toggles)
+         * options.tableSort: { key, direction } for the table view, null keeps the given order
+         */
+        render(view, projects, { cardOptions = {}, tableSort = null } = {}) {
+            switch (view) {
+                case 'timeline':
+                    return this.renderTimeline(projects, cardOptions);
+                case 'language':
+                    return this.renderLanguageGroups(projects, cardOptions);
+                case 'table':
+                    return this.renderTable(projects, tableSort, cardOptions);
+                case 'grid':
+                default:
+                    return this.renderCards(projects, cardOptions);
+            }
+        }
+
+        renderCards(projects, cardOptions) {
+            return projects.map(project => this.cards.createProjectCard(project, cardOptions)).join('');
+        }
+
+        /**
+         * Group projects by key(project), keeping each group in the incoming order
+         */
+        groupBy(projects, key) {
+            const groups = new Map();
+            projects.forEach(project => {
+                const value = key(project);
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(project);
+            });
+            return groups;
+        }
+
+        renderGroup(titleHTML, projects, cardOptions, modifier) {
+            return `
+                <section class="project-group project-group--${modifier}">
+                    <h2 class="project-group__title">
+                        ${titleHTML}
+                        <span class="project-group__count">${projects.length}</span>
+                    </h2>
+                    <div class="projects-page__grid">
+                        ${this.renderCards(projects, cardOptions)}
+                    </div>
+                </section>
+            `;
+        }
+
+        /**
+         * Newest creation year first, newest project first within a year
+         */
+        renderTimeline(projects, cardOptions) {
+            const year = project => {
+                const date = new Date(project.created_at);
+                return !project.created_at || isNaN(date) ? null : date.getFullYear();
+            };
+
+            const byCreated = [...projects].sort((a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0));
+            const groups = this.groupBy(byCreated, year);
+
+            return Array.from(groups.keys())
+                .sort((a, b) => (b === null ? -1 : a === null ? 1 : b - a))
+                .map(value => {
+                    const title = value === null
+                        ? this.cards.sanitizeText(t('projects.unknownDate', 'Unknown date'))
+                        : `<time datetime="${value}">${value}</time>`;
+                    return this.renderGroup(title, groups.get(value), cardOptions, 'timeline');
+                })
+                .join('');
+        }
+
+        /**
+         * Largest language first, projects without a language last
+         */
+        renderLanguageGroups(projects, cardOptions) {
+            const groups = this.groupBy(projects, project => project.language || null);
+
+            return Array.from(groups.keys())
+                .sort((a, b) => {
+                    if (a === null) return 1;
+                    if (b === null) return -1;
+                    return groups.get(b).length - groups.get(a).length || a.localeCompare(b);
+                })
+                .map(language => {
+                    const title = language === null
+                        ? this.cards.sanitizeText(t('projects.unknownLanguage', 'Unknown language'))
+                        : `<span class="project-group__dot" style="background-color: ${this.cards.getLanguageColor(language)}"></span>${this.cards.sanitizeText(language)}`;
+                    return this.renderGroup(title, groups.get(language), cardOptions, 'language');
+                })
+                .join('');
+        }
+
+        sortValue(project, key) {
+            switch (key) {
+                case 'name':
+                    return project.name.toLowerCase();
+                case 'source': {
+                    const provider = this.cards.getProvider(project.source);
+                    return (provider ? provider.label : project.source).toLowerCase();
+                }
+                case 'language':
+                    return project.language ? project.language.toLowerCase() : null;
+                case 'stars':
+                    return project.stargazers_count || 0;
+                case 'created':
+                    return project.created_at ? new Date(project.created_at).getTime() : null;
+                case 'updated':
+                    return project.updated_at ? new Date(project.updated_at).getTime() : null;
+                default:
+                    return null;
+            }
+        }
+
+        /**
+         * Sorted copy; missing values go last in either direction
+         */
+        sortProjects(projects, { key, direction }) {
+            const factor = direction === 'desc' ? -1 : 1;
+
+            return [...projects].sort((a, b) => {
+                const valueA = this.sortValue(a, key);
+                const valueB = this.sortValue(b, key);
+
+                if (valueA === null || valueB === null) {
+                    return (valueA === null) - (valueB === null);
+                }
+                if (typeof valueA === 'string') {
+                    return factor * valueA.localeCompare(valueB);
+                }
+                return factor * (valueA - valueB);
+            });
+        }
+
+        /**
+         * Next sort when a column header is clicked: toggle the active column,
+         * otherwise start the new column in its natural direction
+         */
+        nextTableSort(current, key) {
+            if (current && current.key === key) {
+                return { key, direction: current.direction === 'asc' ? 'desc' : 'asc' };
+            }
+            const column = COLUMNS.find(c => c.key === key);
+            return { key, direction: column ? column.direction : 'asc' };
+        }
+
+        formatDate(value) {
+            const date = new Date(value);
+            if (!value || isNaN(date)) return '';
+
+            const lang = window.i18n ? window.i18n.getLang() : 'en';
+            return `<time datetime="${date.toISOString()}">${date.toLocaleDateString(lang, { year: 'numeric', month: 'short', day: 'numeric' })}</time>`;
+        }
+
+        renderTable(projects, tableSort, cardOptions) {
+            const rows = tableSort ? this.sortProjects(projects, tableSort) : projects;
+            const getMatches = cardOptions.getMatches || (() => []);
+
+            const header = COLUMNS.map(column => {
+                const active = tableSort && tableSort.key === column.key;
+                const ariaSort = active ? (tableSort.direction === 'asc' ? 'ascending' : 'descending') : 'none';
+                const arrow = active ? (tableSort.direction === 'asc' ? '▲' : '▼') : '';
+
+                return `
+                    <th scope="col" aria-sort="${ariaSort}">
+                        <button type="button" class="project-table__sort${active ? ' is-active' : ''}" data-sort-key="${column.key}">
+                            ${this.cards.sanitizeText(t(...column.label))}
+                            <span class="project-table__arrow" aria-hidden="true">${arrow}</span>
+                        </button>
+                    </th>
+                `;
+            }).join('');
+
+            const body = rows.map(project => {
+                const url = this.cards.isValidURL(project.html_url);
+                if (!url) return '';
+
+                const name = this.cards.sanitizeText(project.name);
+                const sources = this.cards.getSources(project).map(source => {
+                    const provider = this.cards.getProvider(source);
+                    return `
+                        <span class="project-table__source">
+                            ${provider ? provider.icon : ''}
+                            ${this.cards.sanitizeText(provider ? provider.label : source)}
+                        </span>
+                    `;
+                }).join('');
+
+                return `
+                    <tr data-project="${name}" data-source="${this.cards.sanitizeText(project.source)}">
+                        <th scope="row">
+                            <a href="${url}" class="project-table__link" target="_blank" rel="noopener noreferrer">${this.cards.highlightText(project.name, getMatches(project.name))}</a>
+                        </th>
+                        <td>${sources}</td>
+                        <td>
+                            ${project.language ? `
+                                <span class="project-group__dot" style="background-color: ${this.cards.getLanguageColor(project.language)}"></span>${this.cards.sanitizeText(project.language)}
+                            ` : ''}
+                        </td>
+                        <td class="project-table__number">${project.stargazers_count || 0}</td>
+                        <td>${this.formatDate(project.created_at)}</td>
+                        <td>${this.formatDate(project.updated_at)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            return `
+                <div class="project-table__wrapper">
+                    <table class="project-table">
+                        <thead><tr>${header}</tr></thead>
+                        <tbody>${body}</tbody>
+                    </table>
+                </div>
+            `;
+        }
+    }
+
+    ProjectViewRenderer.VIEWS = VIEWS;
+
+    window.ProjectViewRenderer = ProjectViewRenderer;
+})();
@@ -2,78 +2,122 @@
 
 class AllProjectsManager {
     constructor() {
-        this.githubUsername = 'Undreak';
-        this.gitlabUsername = 'Undreak';
-        this.API_TIMEOUT = 10000; // 10 seconds
+        this.dataService = new ProjectDataService();
+        this.providers = this.dataService.providers;
+        this.renderer = new ProjectCardRenderer(this.providers);
+        this.drawer = new ProjectDrawer({
+            dataService: this.dataService,
+            renderer: this.renderer,
+            onClose: () => this.clearProjectHash()
+        });
+        // Whether the open drawer added its own history entry (closing then goes back)
+        this.drawerPushed = false;
+        this.views = new ProjectViewRenderer(this.renderer);
+        const author = document.querySelector('meta[name="author"]');
+        this.exporter = new ProjectExporter({ renderer: this.renderer, author: author ? author.content : '' });
 
         this.grid = document.getElementById('projects-grid');
+        // Grid view cards are patched in place; the grouped and table views are re-rendered
+        this.cardList = new KeyedList(this.grid, {
+            getKey: project => `${project.source}/${project.name}`.toLowerCase(),
+            render: project => this.renderer.createProjectCard(project, this.cardOptions)
+        });
+        this.cardOptions = {};
+        // Arrow keys move between cards; one card link at a time is in the tab order
+        this.rovingFocus = new RovingFocus(this.grid, {
+            selector: '.project-card__link-overlay',
+            getKey: link => {
+                const card = link.closest('[data-project]');
+                return `${card.dataset.source}/${card.dataset.project}`;
+            },
+            // Home/End reach the ends of a windowed grid, not just of its rendered rows
+            reveal: edge => this.cardList.scrollToIndex(edge === 'first' ? 0 : this.cardList.items.length - 1)
+        });
+        // Release, license and CI status, loaded as cards scroll into view
+        this.cardDetails = new Map(); // "source/name" -> ProjectDataService.loadCardDetails() result
+        this.detailsRequested = new Set();
+        this.detailsQueue = [];
+        this.detailsActive = 0;
+        this.detailsFrame = null;
+        this.detailsObserver = 'IntersectionObserver' in window
+            ? new IntersectionObserver(entries => this.onCardsVisible(entries), { rootMargin: '200px 0px' })
+            : null;
         this.loading = document.getElementById('loading');
         this.emptyState = document.getElementById('empty-state');
         this.stats = document.getElementById('stats');
+        this.resultsStatus = document.getElementById('results-status');
+        this.notice = document.getElementById('projects-notice');
         this.searchInput = document.getElementById('search-input');
         this.sortSelect = document.getElementById('sort-select');
         this.languageFilter = document.getElementById('language-filter');
-        this.sourceButtons = document.querySelectorAll('[data-source]');
+        this.sourceFilter = document.getElementById('source-filter');
+        this.topicContainer = document.getElementById('topic-facets-container');
+        this.topicFacets = document.getElementById('topic-facets');
+        this.topicMode = document.getElementById('topic-mode');
+        this.topicClear = document.getElementById('topic-clear');
+        this.viewSwitcher = document.getElementById('view-switcher');
+        this.exportMenu = document.getElementById('export-menu');
+        this.activity = document.getElementById('activity');
+        this.heatmap = this.activity ? new ActivityHeatmap(this.activity, this.renderer) : null;
+        const charts = document.getElementById('charts');
+        this.charts = charts
+            ? new ProjectCharts(charts, this.renderer, { onSelect: selection => this.selectChartSegment(selection) })
+            : null;
 
         this.allProjects = [];
         this.filteredProjects = [];
+        this.search = new ProjectSearch();
+        this.view = this.getSavedView();
+        this.tableSort = null; // { key, direction } once a table header is clicked
+        this.countdown = null; // RateLimitCountdown in the notice while listings are rate limited
+        this.announceTimeout = null;
+        this.pendingAnnouncement = ''; // read out before the next result count
+        this.listening = false;
         this.currentFilters = {
             source: 'all',
             language: 'all',
             search: '',
-            sort: 'updated'
+            sort: 'updated',
+            topics: [],
+            topicMode: 'and'
         };
 
-        this.init();
-    }
+        // Query string parameter for each filter, e.g. ?source=github&language=Python&q=saxs&sort=stars&topics=physics,python&match=or
+        // (?lang= is the interface language, see I18nManager)
+        this.urlParams = {
+            source: 'source',
+            language: 'language',
+            search: 'q',
+            sort: 'sort',
+            topics: 'topics',
+            topicMode: 'match'
+        };
 
-    /**
-     * Get translated message with fallback
-     */
-    t(key, fallback, replacements = {}) {
-        if (window.i18n && window.i18n.t) {
-            return window.i18n.t(key, replacements) || fallback;
-        }
-        // Apply replacements to fallback
-        let result = fallback;
-        Object.keys(replacements).forEach(placeholder => {
-            result = result.replace(`{${placeholder}}`, replacements[placeholder]);
-        });
-        return result;
+        this.init();
     }
 
-    // URL validation to prevent open redirect vulnerabilities
-    isValidURL(url) {
-        if (!url) return null;
-        try {
-            const parsed = new URL(url);
-            // Only allow http/https protocols
-            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
-                return null;
-            }
-            return parsed.href;
-        } catch {
-            return null;
-        }
-    }
+    async init() {
+        this.renderSourceButtons();
+        this.readFiltersFromURL();
+        this.syncControls();
 
-    // Sanitize text content to prevent XSS
-    sanitizeText(text) {
-        if (!text) return '';
-        // Use DOMPurify if available, otherwise escape HTML
-        if (typeof DOMPurify !== 'undefined') {
-            return DOMPurify.sanitize(text, { ALLOWED_TAGS: [] });
-        }
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        await this.start();
     }
 
-    async init() {
+    /**
+     * Load projects and show them; also used to retry once a rate limit has lifted
+     */
+    async start() {
         try {
             await this.fetchAllProjects();
-            this.setupEventListeners();
+            if (!this.listening) {
+                this.setupEventListeners();
+                this.listening = true;
+            }
             this.applyFilters();
+            this.openFromHash();
+            this.enrichProjects();
+            this.loadActivity();
         } catch (error) {
             console.error('Init error:', error);
             this.showError(error);
@@ -81,24 +125,18 @@ class AllProjectsManager {
     }
 
     async fetchAllProjects() {
-        const [githubProjects, gitlabProjects] = await Promise.allSettled([
-            this.fetchAllGitHubRepos(),
-            this.fetchAllGitLabProjects()
-        ]);
-
-        if (githubProjects.status === 'fulfilled') {
-            this.allProjects.push(...githubProjects.value);
-        } else {
-            console.warn('GitHub fetch failed:', githubProjects.reason);
-        }
+        const result = await this.dataService.load({
+            onUpdate: (update) => this.refreshProjects(update)
+        });
 
-        if (gitlabProjects.status === 'fulfilled') {
-            this.allProjects.push(...gitlabProjects.value);
-        } else {
-            console.warn('GitLab fetch failed:', gitlabProjects.reason);
-        }
+        this.allProjects = result.projects;
+        this.updateNotice(result);
 
         if (this.allProjects.length === 0) {
+            if (result.rateLimitReset) {
+                const message = result.failures.map(failure => failure.error.message).join(' ');
+                throw new ForgeProviders.RateLimitError(message, result.rateLimitReset);
+            }
             throw new Error('No projects found');
         }
 
@@ -106,122 +144,134 @@ class AllProjectsManager {
         this.hideLoading();
     }
 
-    async fetchAllGitHubRepos() {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.API_TIMEOUT);
+    /**
+     * Swap in projects from a background refresh, keeping the current filters
+     */
+    refreshProjects(result) {
+        if (result.projects.length === 0) return;
+
+        this.allProjects = result.projects;
+        this.updateNotice(result);
+        this.populateLanguageFilter();
+        this.applyFilters();
+        this.enrichProjects();
+    }
+
+    /**
+     * Add language breakdowns, then commit sparklines. One after the other, as each
+     * replaces allProjects with enriched copies of the list it started from.
+     */
+    async enrichProjects() {
+        await this.loadLanguages();
+        await this.loadCommitActivity();
+    }
+
+    /**
+     * Enrich projects with language breakdowns (fills in GitLab's missing primary language)
+     */
+    async loadLanguages() {
+        const projects = this.allProjects;
 
         try {
-            const response = await fetch(
-                `https://api.github.com/users/${this.githubUsername}/repos?per_page=100&sort=updated`,
-                { signal: controller.signal }
-            );
-
-            clearTimeout(timeoutId);
-
-            if (response.status === 403) {
-                const resetTime = response.headers.get('X-RateLimit-Reset');
-                let message = this.t('projects.error.githubRateLimit', 'GitHub API rate limit exceeded.');
-                if (resetTime) {
-                    const resetDate = new Date(parseInt(resetTime) * 1000);
-                    const minutesUntilReset = Math.ceil((resetDate - new Date()) / 60000);
-                    message += ' ' + this.t('projects.error.tryAgainIn', `Try again in ${minutesUntilReset} minute(s).`, { minutes: minutesUntilReset });
-                } else {
-                    message += ' ' + this.t('projects.error.tryAgainLater', 'Please try again later.');
-                }
-                throw new Error(message);
-            }
+            const enriched = await this.dataService.loadLanguages(projects);
 
-            if (!response.ok) {
-                throw new Error(this.t('projects.error.githubError', `GitHub API error: ${response.status}`, { status: response.status }));
-            }
+            // A background refresh replaced the list in the meantime
+            if (this.allProjects !== projects) return;
 
-            const repos = await response.json();
-
-            return repos
-                .filter(repo => !repo.fork)
-                .filter(repo => !repo.name.includes('.github.io'))
-                .map(repo => ({
-                    name: repo.name,
-                    description: repo.description,
-                    html_url: repo.html_url,
-                    homepage: repo.homepage,
-                    topics: repo.topics || [],
-                    language: repo.language,
-                    stargazers_count: repo.stargazers_count,
-                    updated_at: repo.updated_at,
-                    created_at: repo.created_at,
-                    source: 'github'
-                }));
+            this.allProjects = enriched;
+            this.populateLanguageFilter();
+            this.applyFilters();
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error(this.t('projects.error.githubTimeout', 'GitHub request timed out. Please check your connection.'));
-            }
-            throw error;
-        } finally {
-            clearTimeout(timeoutId);
+            console.warn('Language enrichment failed:', error);
         }
     }
 
-    async fetchAllGitLabProjects() {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.API_TIMEOUT);
+    /**
+     * Weekly commit counts for the card sparklines of recently updated projects
+     */
+    async loadCommitActivity() {
+        const projects = this.allProjects;
 
         try {
-            const response = await fetch(
-                `https://gitlab.com/api/v4/users/${this.gitlabUsername}/projects?per_page=100&order_by=updated_at`,
-                { signal: controller.signal }
-            );
+            const enriched = await this.dataService.loadCommitActivity(projects);
+            if (this.allProjects !== projects) return;
 
-            clearTimeout(timeoutId);
-
-            if (response.status === 429) {
-                throw new Error(this.t('projects.error.gitlabRateLimit', 'GitLab API rate limit exceeded. Please try again later.'));
-            }
+            this.allProjects = enriched;
+            this.applyFilters();
+        } catch (error) {
+            console.warn('Commit activity enrichment failed:', error);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(this.t('projects.error.gitlabError', `GitLab API error: ${response.status}`, { status: response.status }));
-            }
+    /**
+     * Contribution heatmap next to the stats
+     */
+    async loadActivity() {
+        if (!this.heatmap) return;
 
-            const projects = await response.json();
-
-            return projects
-                .filter(project => !project.forked_from_project)
-                .map(project => ({
-                    name: project.name,
-                    description: project.description || null,
-                    html_url: project.web_url,
-                    homepage: null,
-                    topics: project.topics || project.tag_list || [],
-                    language: null,
-                    stargazers_count: project.star_count || 0,
-                    updated_at: project.last_activity_at,
-                    created_at: project.created_at,
-                    source: 'gitlab'
-                }));
+        try {
+            this.heatmap.render(await this.dataService.loadActivity());
         } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error(this.t('projects.error.gitlabTimeout', 'GitLab request timed out. Please check your connection.'));
-            }
-            throw error;
-        } finally {
-            clearTimeout(timeoutId);
+            console.warn('Activity heatmap failed:', error);
+        }
+    }
+
+    /**
+     * Warn about listings cut short after their first page or missing because of a rate
+     * limit, and show the "last synced" notice when projects come from the static snapshot.
+     * Rate-limited listings are fetched again once the limit resets.
+     */
+    updateNotice({ warnings = [], failures = [], snapshot = null, rateLimitReset = null }) {
+        if (!this.notice) return;
+
+        const messages = warnings.map(({ source, error }) => window.i18n.tr(
+            'projects.partialNotice',
+            'Some {source} projects could not be loaded: {error}',
+            { source: this.getSourceLabel(source), error: error.message }
+        ));
+
+        failures
+            .filter(({ error }) => error.rateLimited)
+            .forEach(({ error }) => messages.push(error.message));
+
+        if (snapshot) {
+            messages.push(this.renderer.getSnapshotNotice(snapshot));
+        }
+
+        if (this.countdown) {
+            this.countdown.stop();
+            this.countdown = null;
+        }
+
+        this.notice.textContent = messages.join(' ');
+        this.notice.classList.toggle('hidden', messages.length === 0);
+
+        if (rateLimitReset && messages.length > 0) {
+            this.countdown = new RateLimitCountdown(rateLimitReset, () => this.refetch());
+            this.notice.appendChild(document.createTextNode(' '));
+            this.notice.appendChild(this.countdown.start());
         }
     }
 
+    /**
+     * Fetch again after a rate limit reset; fresh cached listings are not requested again
+     */
+    refetch() {
+        this.dataService.load()
+            .then(result => this.refreshProjects(result))
+            .catch(error => console.warn('Project refresh failed:', error));
+    }
+
     setupEventListeners() {
         // Search with debouncing
         let searchTimeout;
         this.searchInput.addEventListener('input', (e) => {
             clearTimeout(searchTimeout);
             searchTimeout = setTimeout(() => {
-                // Sanitize and limit search input
-                const sanitized = e.target.value
-                    .replace(/[<>]/g, '')
-                    .trim()
-                    .toLowerCase()
-                    .substring(0, 100);
-                this.currentFilters.search = sanitized;
+                this.currentFilters.search = this.sanitizeSearch(e.target.value);
                 this.applyFilters();
+                // Typing replaces the history entry instead of adding one per keystroke
+                this.updateURL(false);
             }, 300);
         });
 
@@ -229,26 +279,395 @@ class AllProjectsManager {
         this.sortSelect.addEventListener('change', (e) => {
             this.currentFilters.sort = e.target.value;
             this.applyFilters();
+            this.updateURL(true);
         });
 
         // Language filter
         this.languageFilter.addEventListener('change', (e) => {
             this.currentFilters.language = e.target.value;
             this.applyFilters();
+            this.updateURL(true);
         });
 
         // Source filter buttons
-        this.sourceButtons.forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                this.sourceButtons.forEach(b => b.classList.remove('is-active'));
-                e.target.classList.add('is-active');
-                this.currentFilters.source = e.target.dataset.source;
-                this.applyFilters();
+        this.sourceFilter.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-source]');
+            if (!button) return;
+
+            this.sourceFilter.querySelectorAll('[data-source]').forEach(b => b.classList.remove('is-active'));
+            button.classList.add('is-active');
+            this.currentFilters.source = button.dataset.source;
+            this.applyFilters();
+            this.updateURL(true);
+        });
+
+        // Topic facets and the clickable tags on cards
+        this.topicFacets.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-topic]');
+            if (button) this.toggleTopic(button.dataset.topic);
+        });
+
+        this.grid.addEventListener('click', (e) => {
+            const tag = e.target.closest('[data-topic]');
+            if (tag) {
+                this.toggleTopic(tag.dataset.topic);
+                return;
+            }
+
+            const sortButton = e.target.closest('[data-sort-key]');
+            if (sortButton) {
+                this.tableSort = this.views.nextTableSort(this.tableSort, sortButton.dataset.sortKey);
+                this.displayProjects();
+                this.grid.querySelector(`[data-sort-key="${this.tableSort.key}"]`).focus();
+                return;
+            }
+
+            // Plain clicks on a card or table row link open the detail drawer;
+            // modified clicks still open the forge
+            const overlay = e.target.closest('.project-card__link-overlay, .project-table__link');
+            if (!overlay || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+            const card = overlay.closest('[data-project]');
+            const project = this.findProject(card.dataset.source, card.dataset.project);
+            if (!project) return;
+
+            e.preventDefault();
+            this.openProject(project);
+        });
+
+        this.viewSwitcher.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) this.setView(button.dataset.view);
+        });
+
+        this.topicMode.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (!button || button.dataset.mode === this.currentFilters.topicMode) return;
+
+            this.currentFilters.topicMode = button.dataset.mode;
+            this.syncControls();
+            this.applyFilters();
+            this.updateURL(true);
+        });
+
+        this.topicClear.addEventListener('click', () => {
+            this.currentFilters.topics = [];
+            this.applyFilters();
+            this.updateURL(true);
+        });
+
+        // Back/forward between filter states and in/out of the project drawer
+        window.addEventListener('popstate', () => {
+            this.readFiltersFromURL();
+            this.syncControls();
+            this.populateLanguageFilter();
+            this.applyFilters();
+            this.openFromHash();
+        });
+
+        // Hand-edited #project=... links
+        window.addEventListener('hashchange', () => this.openFromHash());
+
+        // Export the projects as listed, in the table's order when it is sorted
+        if (this.exportMenu) {
+            this.exportMenu.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-export]');
+                if (!item) return;
+
+                const projects = this.view === 'table' && this.tableSort
+                    ? this.views.sortProjects(this.filteredProjects, this.tableSort)
+                    : this.filteredProjects;
+                this.exporter.download(item.dataset.export, projects);
+                this.exportMenu.open = false;
+            });
+
+            this.exportMenu.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.exportMenu.open) {
+                    this.exportMenu.open = false;
+                    this.exportMenu.querySelector('summary').focus();
+                }
             });
+
+            document.addEventListener('click', (e) => {
+                if (this.exportMenu.open && !this.exportMenu.contains(e.target)) {
+                    this.exportMenu.open = false;
+                }
+            });
+        }
+
+        this.setupKeyboardShortcuts();
+
+        // Card text, relative dates and stats follow the language switcher
+        window.addEventListener('i18n:changed', () => {
+            this.applyFilters();
+            this.drawer.updateLabels();
+            if (this.heatmap) this.heatmap.render();
+        });
+    }
+
+    /**
+     * / focuses the search box, s and l cycle the sort order and language filter
+     * (Shift goes backwards), Escape in the search box clears it. Enter on a focused
+     * card opens it like a click; the arrow keys are handled by RovingFocus.
+     */
+    setupKeyboardShortcuts() {
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || this.searchInput.value === '') return;
+
+            e.preventDefault();
+            this.searchInput.value = '';
+            this.currentFilters.search = '';
+            this.applyFilters();
+            this.updateURL(false);
         });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || this.drawer.isOpen()) return;
+            // Leave typing in form fields alone
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+            switch (e.key) {
+                // Shift is part of / on some layouts
+                case '/':
+                    e.preventDefault();
+                    this.searchInput.focus();
+                    this.searchInput.select();
+                    break;
+                case 's':
+                case 'S':
+                    this.cycleSelect(this.sortSelect, e.shiftKey ? -1 : 1);
+                    break;
+                case 'l':
+                case 'L':
+                    this.cycleSelect(this.languageFilter, e.shiftKey ? -1 : 1);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Select the next (step 1) or previous (-1) option, wrapping around, as if picked by hand
+     */
+    cycleSelect(select, step) {
+        const count = select.options.length;
+        if (count < 2 || select.closest('.hidden')) return;
+
+        select.selectedIndex = (select.selectedIndex + step + count) % count;
+
+        const group = select.closest('.filter-group');
+        const label = group ? group.querySelector('.filter-label') : null;
+        const option = select.options[select.selectedIndex];
+        this.pendingAnnouncement = `${label ? label.textContent.trim() : ''} ${option.textContent.trim()}.`.trim();
+
+        select.dispatchEvent(new Event('change'));
+    }
+
+    findProject(source, name) {
+        return this.allProjects.find(p => p.source === source && p.name === name) || null;
+    }
+
+    getProjectHash(project) {
+        return `#project=${encodeURIComponent(project.source)}/${encodeURIComponent(project.name)}`;
+    }
+
+    /**
+     * #project=<source>/<name> -> { source, name }, or null
+     */
+    parseProjectHash() {
+        const match = window.location.hash.match(/^#project=([^/]+)\/(.+)$/);
+        if (!match) return null;
+
+        try {
+            return { source: decodeURIComponent(match[1]), name: decodeURIComponent(match[2]) };
+        } catch {
+            return null;
+        }
+    }
+
+    openProject(project) {
+        const url = new URL(window.location.href);
+        url.hash = this.getProjectHash(project);
+
+        if (url.href !== window.location.href) {
+            history.pushState(null, '', url);
+            this.drawerPushed = true;
+        }
+
+        this.drawer.open(project);
+    }
+
+    /**
+     * Open or close the drawer to match the URL hash
+     */
+    openFromHash() {
+        const target = this.parseProjectHash();
+        const project = target ? this.findProject(target.source, target.name) : null;
+
+        if (project) {
+            this.drawer.open(project);
+        } else {
+            this.drawerPushed = false;
+            this.drawer.close();
+        }
+    }
+
+    /**
+     * Drop the project hash once the drawer closes, going back if opening it added the entry
+     */
+    clearProjectHash() {
+        if (!this.parseProjectHash()) return;
+
+        if (this.drawerPushed) {
+            this.drawerPushed = false;
+            history.back();
+        } else {
+            const url = new URL(window.location.href);
+            url.hash = '';
+            history.replaceState(null, '', url.href.replace(/#$/, ''));
+        }
+    }
+
+    // Sanitize and limit search input. Comparison operators (stars:>5) are kept:
+    // the query is only ever matched against, never inserted as HTML.
+    sanitizeSearch(value) {
+        return value
+            .replace(/[\u0000-\u001f\u007f]/g, '')
+            .trim()
+            .toLowerCase()
+            .substring(0, 100);
+    }
+
+    /**
+     * Read filter state from the query string, ignoring invalid values
+     */
+    readFiltersFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const sorts = Array.from(this.sortSelect.options).map(option => option.value);
+        const sources = ['all', ...this.providers.map(provider => provider.id)];
+
+        const source = params.get(this.urlParams.source);
+        const language = params.get(this.urlParams.language);
+        const search = params.get(this.urlParams.search);
+        const sort = params.get(this.urlParams.sort);
+        const topics = (params.get(this.urlParams.topics) || '')
+            .split(',')
+            .map(topic => topic.trim().toLowerCase().substring(0, 50))
+            .filter(Boolean);
+
+        this.currentFilters = {
+            source: sources.includes(source) ? source : 'all',
+            language: language ? language.substring(0, 50) : 'all',
+            search: search ? this.sanitizeSearch(search) : '',
+            sort: sorts.includes(sort) ? sort : 'updated',
+            topics: Array.from(new Set(topics)).slice(0, 20),
+            topicMode: params.get(this.urlParams.topicMode) === 'or' ? 'or' : 'and'
+        };
+    }
+
+    /**
+     * Write filter state to the query string, leaving defaults out.
+     * push adds a history entry (discrete changes), otherwise the current one is replaced.
+     */
+    updateURL(push) {
+        const url = new URL(window.location.href);
+        const defaults = { source: 'all', language: 'all', search: '', sort: 'updated', topics: '', topicMode: 'and' };
+
+        Object.keys(this.urlParams).forEach(filter => {
+            const current = this.currentFilters[filter];
+            const value = Array.isArray(current) ? current.join(',') : current;
+            if (value && value !== defaults[filter]) {
+                url.searchParams.set(this.urlParams[filter], value);
+            } else {
+                url.searchParams.delete(this.urlParams[filter]);
+            }
+        });
+
+        if (url.href === window.location.href) return;
+
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    }
+
+    getSavedView() {
+        try {
+            const saved = localStorage.getItem('projectsView');
+            if (ProjectViewRenderer.VIEWS.includes(saved)) {
+                return saved;
+            }
+            if (saved) {
+                localStorage.removeItem('projectsView');
+            }
+        } catch (error) {
+            console.warn('Error reading projects view from localStorage:', error);
+        }
+        return 'grid';
+    }
+
+    setView(view) {
+        if (!ProjectViewRenderer.VIEWS.includes(view) || view === this.view) return;
+
+        this.view = view;
+        try {
+            localStorage.setItem('projectsView', view);
+        } catch (error) {
+            console.warn('Error saving projects view to localStorage:', error);
+        }
+
+        this.syncControls();
+        this.displayProjects();
+    }
+
+    /**
+     * Reflect currentFilters and the view in the search box, selects, source, view and topic mode buttons
+     * (topic facets are rebuilt by applyFilters)
+     */
+    syncControls() {
+        this.searchInput.value = this.currentFilters.search;
+        this.sortSelect.value = this.currentFilters.sort;
+        this.languageFilter.value = this.currentFilters.language;
+
+        this.sourceFilter.querySelectorAll('[data-source]').forEach(button => {
+            button.classList.toggle('is-active', button.dataset.source === this.currentFilters.source);
+        });
+
+        this.viewSwitcher.querySelectorAll('[data-view]').forEach(button => {
+            const active = button.dataset.view === this.view;
+            button.classList.toggle('is-active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+
+        this.topicMode.querySelectorAll('[data-mode]').forEach(button => {
+            const active = button.dataset.mode === this.currentFilters.topicMode;
+            button.classList.toggle('is-active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+    }
+
+    /**
+     * Add one source filter button per configured provider after "All"
+     */
+    renderSourceButtons() {
+        this.providers.forEach(provider => {
+            const button = document.createElement('button');
+            button.className = 'filter-btn';
+            button.dataset.source = provider.id;
+            button.textContent = provider.label;
+            this.sourceFilter.appendChild(button);
+        });
+    }
+
+    getSourceLabel(source) {
+        const provider = this.renderer.getProvider(source);
+        return provider ? provider.label : source;
     }
 
     populateLanguageFilter() {
+        // Keep only the "All Languages" option before (re)building the list
+        this.languageFilter.querySelectorAll('option:not([value="all"])').forEach(option => option.remove());
+
         const languages = new Set();
         this.allProjects.forEach(project => {
             if (project.language) {
@@ -256,6 +675,11 @@ class AllProjectsManager {
             }
         });
 
+        // Keep the active selection listed (e.g. from the URL, before GitLab languages arrive)
+        if (this.currentFilters.language !== 'all') {
+            languages.add(this.currentFilters.language);
+        }
+
         if (languages.size > 0) {
             const sortedLanguages = Array.from(languages).sort();
             sortedLanguages.forEach(lang => {
@@ -266,6 +690,85 @@ class AllProjectsManager {
             });
             document.getElementById('language-filter-container').classList.remove('hidden');
         }
+
+        this.languageFilter.value = this.currentFilters.language;
+    }
+
+    toggleTopic(topic) {
+        const topics = this.currentFilters.topics;
+        this.currentFilters.topics = topics.includes(topic)
+            ? topics.filter(t => t !== topic)
+            : [...topics, topic];
+        this.applyFilters();
+        this.updateURL(true);
+    }
+
+    /**
+     * Whether a project carries all (AND) or any (OR) of the given topics
+     */
+    matchesTopics(project, topics = this.currentFilters.topics) {
+        if (topics.length === 0) return true;
+
+        const projectTopics = (project.topics || []).map(topic => topic.toLowerCase());
+        return this.currentFilters.topicMode === 'or'
+            ? topics.some(topic => projectTopics.includes(topic))
+            : topics.every(topic => projectTopics.includes(topic));
+    }
+
+    /**
+     * Rebuild the topic facet buttons. Facets are listed by overall frequency so they
+     * don't jump around; counts reflect the other active filters (base). In AND mode a
+     * count is what selecting that topic would leave, in OR mode how many it contributes.
+     */
+    renderTopicFacets(base) {
+        const totals = new Map();
+        this.allProjects.forEach(project => {
+            new Set((project.topics || []).map(topic => topic.toLowerCase())).forEach(topic => {
+                totals.set(topic, (totals.get(topic) || 0) + 1);
+            });
+        });
+
+        // Keep selected topics listed even if no loaded project has them
+        this.currentFilters.topics.forEach(topic => {
+            if (!totals.has(topic)) totals.set(topic, 0);
+        });
+
+        const selected = this.currentFilters.topics;
+        const topics = Array.from(totals.keys())
+            .sort((a, b) => totals.get(b) - totals.get(a) || a.localeCompare(b));
+
+        // Rebuilding drops focus; put it back on the same facet for keyboard users
+        const focused = this.topicFacets.contains(document.activeElement) ? document.activeElement.dataset.topic : null;
+        this.topicFacets.textContent = '';
+
+        topics.forEach(topic => {
+            const active = selected.includes(topic);
+            const count = this.currentFilters.topicMode === 'or'
+                ? base.filter(p => this.matchesTopics(p, [topic])).length
+                : base.filter(p => this.matchesTopics(p, active ? selected : [...selected, topic])).length;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'topic-facet' + (active ? ' is-active' : '');
+            button.dataset.topic = topic;
+            button.setAttribute('aria-pressed', active);
+            button.disabled = count === 0 && !active;
+
+            const name = document.createElement('span');
+            name.textContent = topic;
+            const badge = document.createElement('span');
+            badge.className = 'topic-facet__count';
+            badge.textContent = count;
+
+            button.appendChild(name);
+            button.appendChild(badge);
+            this.topicFacets.appendChild(button);
+
+            if (topic === focused) button.focus();
+        });
+
+        this.topicContainer.classList.toggle('hidden', topics.length === 0);
+        this.topicClear.classList.toggle('hidden', selected.length === 0);
     }
 
     applyFilters() {
@@ -274,7 +777,7 @@ class AllProjectsManager {
 
         // Filter by source
         if (this.currentFilters.source !== 'all') {
-            filtered = filtered.filter(p => p.source === this.currentFilters.source);
+            filtered = filtered.filter(p => this.renderer.getSources(p).includes(this.currentFilters.source));
         }
 
         // Filter by language
@@ -282,19 +785,36 @@ class AllProjectsManager {
             filtered = filtered.filter(p => p.language === this.currentFilters.language);
         }
 
-        // Filter by search
-        if (this.currentFilters.search) {
-            filtered = filtered.filter(p => {
-                const searchStr = this.currentFilters.search;
-                return (p.name && p.name.toLowerCase().includes(searchStr)) ||
-                       (p.description && p.description.toLowerCase().includes(searchStr)) ||
-                       (p.topics && p.topics.some(t => t.toLowerCase().includes(searchStr)));
-            });
+        // Filter by search query (qualifiers, negation, fuzzy text)
+        this.search = new ProjectSearch(this.currentFilters.search, this.providers, p => this.renderer.getDescription(p));
+        if (!this.search.isEmpty()) {
+            filtered = filtered.filter(p => this.search.matches(p));
         }
 
-        // Sort
+        // Topic facets count against everything but the topic selection itself
+        this.renderTopicFacets(filtered);
+        filtered = filtered.filter(p => this.matchesTopics(p));
+
+        // Relevance only means something with free text to rank by
+        const sort = this.currentFilters.sort === 'relevance' && this.search.getTextTerms().length === 0
+            ? 'updated'
+            : this.currentFilters.sort;
+        const scores = new Map();
+        if (sort === 'relevance') {
+            filtered.forEach(p => scores.set(p, this.search.score(p)));
+        }
+
+        // Sort; the default order keeps featured projects pinned on top
         filtered.sort((a, b) => {
-            switch (this.currentFilters.sort) {
+            if (sort === 'updated' && (a.featured !== undefined || b.featured !== undefined)) {
+                if (a.featured === undefined) return 1;
+                if (b.featured === undefined) return -1;
+                return a.featured - b.featured;
+            }
+
+            switch (sort) {
+                case 'relevance':
+                    return scores.get(b) - scores.get(a) || new Date(b.updated_at) - new Date(a.updated_at);
                 case 'stars':
                     return b.stargazers_count - a.stargazers_count;
                 case 'name':
@@ -308,6 +828,28 @@ class AllProjectsManager {
         this.filteredProjects = filtered;
         this.displayProjects();
         this.updateStats();
+        this.announceResults();
+    }
+
+    /**
+     * Read the result count out through the live region. Bursts of calls (typing,
+     * enrichment) are coalesced, and an unchanged count is not repeated unless a
+     * keyboard shortcut queued a message with it.
+     */
+    announceResults() {
+        if (!this.resultsStatus) return;
+
+        clearTimeout(this.announceTimeout);
+        this.announceTimeout = setTimeout(() => {
+            const count = this.filteredProjects.length;
+            const results = window.i18n.tr('projects.results', '{count, plural, =0 {No projects found} one {# project found} other {# projects found}}', { count });
+            const message = [this.pendingAnnouncement, results].filter(Boolean).join(' ');
+
+            this.pendingAnnouncement = '';
+            if (this.resultsStatus.textContent !== message) {
+                this.resultsStatus.textContent = message;
+            }
+        }, 500);
     }
 
     displayProjects() {
@@ -320,86 +862,104 @@ class AllProjectsManager {
         this.grid.classList.remove('hidden');
         this.emptyState.classList.add('hidden');
 
-        this.grid.innerHTML = this.filteredProjects.map(project => this.createProjectCard(project)).join('');
+        const getMatches = text => this.search.getMatches(text);
+        const selectedTopics = this.currentFilters.topics;
+        const getDetails = project => this.cardDetails.get(`${project.source}/${project.name}`);
+        this.cardOptions = { getMatches, selectedTopics, getDetails };
+
+        if (this.view === 'grid') {
+            if (this.grid.dataset.view !== 'grid') {
+                this.grid.textContent = '';
+                this.cardList.reset();
+            }
+            this.grid.dataset.view = this.view;
+            this.cardList.update(this.filteredProjects);
+        } else {
+            this.cardList.reset();
+            this.grid.dataset.view = this.view;
+            this.grid.innerHTML = this.views.render(this.view, this.filteredProjects, {
+                cardOptions: this.cardOptions,
+                tableSort: this.tableSort
+            });
+        }
+
+        this.observeCards();
+        this.rovingFocus.refresh();
+    }
+
+    /**
+     * Watch the rendered cards whose details have not been requested yet
+     */
+    observeCards() {
+        if (!this.detailsObserver) return;
+
+        this.detailsObserver.disconnect();
+        this.grid.querySelectorAll('.project-card').forEach(card => {
+            if (!this.detailsRequested.has(`${card.dataset.source}/${card.dataset.project}`)) {
+                this.detailsObserver.observe(card);
+            }
+        });
     }
 
-    createProjectCard(repo) {
-        const topics = repo.topics || [];
-        const description = this.sanitizeText(repo.description) || this.t('projects.noDescription', 'No description available');
-        const name = this.sanitizeText(repo.name);
-        const language = this.sanitizeText(repo.language);
-        const sourceIcon = repo.source === 'github' ? this.getGitHubIcon() : this.getGitLabIcon();
+    onCardsVisible(entries) {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
 
-        // Validate URLs to prevent XSS and open redirect
-        const repoUrl = this.isValidURL(repo.html_url);
-        const homepageUrl = this.isValidURL(repo.homepage);
+            this.detailsObserver.unobserve(entry.target);
+            const key = `${entry.target.dataset.source}/${entry.target.dataset.project}`;
+            if (this.detailsRequested.has(key)) return;
 
-        if (!repoUrl) {
-            console.warn('Invalid repository URL:', repo.html_url);
-            return '';
+            this.detailsRequested.add(key);
+            this.detailsQueue.push(key);
+        });
+
+        this.loadCardDetails();
+    }
+
+    /**
+     * Work through the queued cards, two at a time
+     */
+    loadCardDetails() {
+        while (this.detailsActive < 2 && this.detailsQueue.length > 0) {
+            const key = this.detailsQueue.shift();
+            const project = this.allProjects.find(p => `${p.source}/${p.name}` === key);
+            if (!project) continue;
+
+            this.detailsActive++;
+            this.dataService.loadCardDetails(project)
+                .then(details => {
+                    if (!details) return;
+                    this.cardDetails.set(key, details);
+                    this.renderCardDetails();
+                })
+                .catch(error => console.warn(`Card details for ${key} failed:`, error))
+                .finally(() => {
+                    this.detailsActive--;
+                    this.loadCardDetails();
+                });
         }
+    }
 
-        return `
-            <article class="project-card" data-project="${name}">
-                <a href="${repoUrl}" target="_blank" rel="noopener noreferrer" class="project-card__link-overlay" aria-label="View ${name}"></a>
-                <div class="project-card__header">
-                    <h3 class="project-card__title">${name}</h3>
-                    <div class="project-card__icons">
-                        <span class="project-card__source" title="${repo.source === 'github' ? 'GitHub' : 'GitLab'}">
-                            ${sourceIcon}
-                        </span>
-                        ${homepageUrl ? `
-                            <a href="${homepageUrl}"
-                               class="project-card__external"
-                               target="_blank"
-                               rel="noopener noreferrer"
-                               aria-label="View ${name} live demo"
-                               title="Live demo">
-                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                    <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>
-                                    <polyline points="15 3 21 3 21 9"/>
-                                    <line x1="10" y1="14" x2="21" y2="3"/>
-                                </svg>
-                            </a>
-                        ` : ''}
-                    </div>
-                </div>
-                <p class="project-card__description">${description}</p>
-                ${topics.length > 0 ? `
-                    <div class="project-card__tags">
-                        ${topics.slice(0, 5).map(topic => `<span class="tag">${this.sanitizeText(topic)}</span>`).join('')}
-                    </div>
-                ` : ''}
-                <div class="project-card__stats">
-                    ${repo.stargazers_count > 0 ? `
-                        <span class="stat">
-                            <svg viewBox="0 0 16 16" fill="currentColor">
-                                <path d="M8 .25a.75.75 0 01.673.418l1.882 3.815 4.21.612a.75.75 0 01.416 1.279l-3.046 2.97.719 4.192a.75.75 0 01-1.088.791L8 12.347l-3.766 1.98a.75.75 0 01-1.088-.79l.72-4.194L.818 6.374a.75.75 0 01.416-1.28l4.21-.611L7.327.668A.75.75 0 018 .25z"/>
-                            </svg>
-                            <span>${repo.stargazers_count}</span>
-                        </span>
-                    ` : ''}
-                    ${language ? `
-                        <span class="stat">
-                            <svg viewBox="0 0 16 16" fill="currentColor">
-                                <circle cx="8" cy="8" r="3"/>
-                            </svg>
-                            <span>${language}</span>
-                        </span>
-                    ` : ''}
-                </div>
-            </article>
-        `;
+    /**
+     * Re-render once per frame however many details arrived. Only the grid view, where
+     * just the changed cards are replaced; the other views pick the details up on their
+     * next render rather than rebuilding under the reader.
+     */
+    renderCardDetails() {
+        if (this.detailsFrame || this.view !== 'grid') return;
+
+        this.detailsFrame = requestAnimationFrame(() => {
+            this.detailsFrame = null;
+            if (this.filteredProjects.length > 0) {
+                this.displayProjects();
+            }
+        });
     }
 
     updateStats() {
-        const github = this.filteredProjects.filter(p => p.source === 'github').length;
-        const gitlab = this.filteredProjects.filter(p => p.source === 'gitlab').length;
         const total = this.filteredProjects.length;
 
-        const projectWord = total === 1
-            ? this.t('projects.project', 'project')
-            : this.t('projects.projectsPlural', 'projects');
+        const projectWord = window.i18n.tr('projects.projectCount', '{count, plural, one {project} other {projects}}', { count: total });
 
         // Build stats safely using DOM methods
         this.stats.textContent = '';
@@ -412,27 +972,41 @@ class AllProjectsManager {
         totalBadge.appendChild(document.createTextNode(' ' + projectWord));
         this.stats.appendChild(totalBadge);
 
-        const githubBadge = document.createElement('span');
-        githubBadge.className = 'stat-badge stat-badge--github';
-        githubBadge.textContent = github + ' GitHub';
-        this.stats.appendChild(githubBadge);
+        this.providers.forEach(provider => {
+            // Mirrored projects count once in the total but on every forge they are on
+            const count = this.filteredProjects.filter(p => this.renderer.getSources(p).includes(provider.id)).length;
+            const badge = document.createElement('span');
+            badge.className = `stat-badge stat-badge--${provider.type}`;
+            badge.textContent = count + ' ' + provider.label;
+            this.stats.appendChild(badge);
+        });
 
-        const gitlabBadge = document.createElement('span');
-        gitlabBadge.className = 'stat-badge stat-badge--gitlab';
-        gitlabBadge.textContent = gitlab + ' GitLab';
-        this.stats.appendChild(gitlabBadge);
+        if (this.charts) {
+            this.charts.render(this.filteredProjects, this.currentFilters);
+        }
     }
 
-    getGitHubIcon() {
-        return `<svg viewBox="0 0 24 24" fill="currentColor">
-            <path d="M12 0C5.37 0 0 5.37 0 12c0 5.31 3.435 9.795 8.205 11.385.6.105.825-.255.825-.57 0-.285-.015-1.23-.015-2.235-3.015.555-3.795-.735-4.035-1.41-.135-.345-.72-1.41-1.23-1.695-.42-.225-1.02-.78-.015-.795.945-.015 1.62.87 1.845 1.23 1.08 1.815 2.805 1.305 3.495.99.105-.78.42-1.305.765-1.605-2.67-.3-5.46-1.335-5.46-5.925 0-1.305.465-2.385 1.23-3.225-.12-.3-.54-1.53.12-3.18 0 0 1.005-.315 3.3 1.23.96-.27 1.98-.405 3-.405s2.04.135 3 .405c2.295-1.56 3.3-1.23 3.3-1.23.66 1.65.24 2.88.12 3.18.765.84 1.23 1.905 1.23 3.225 0 4.605-2.805 5.625-5.475 5.925.435.375.81 1.095.81 2.22 0 1.605-.015 2.895-.015 3.3 0 .315.225.69.825.57A12.02 12.02 0 0024 12c0-6.63-5.37-12-12-12z"/>
-        </svg>`;
-    }
+    /**
+     * Apply a clicked chart segment as a filter, or remove it when it is already applied:
+     * a language sets the language filter, a bar adds stars:>=N or created:YYYY to the search
+     */
+    selectChartSegment({ type, value }) {
+        if (type === 'language') {
+            this.currentFilters.language = this.currentFilters.language === value ? 'all' : value;
+            this.languageFilter.value = this.currentFilters.language;
+        } else {
+            const term = type === 'stars' ? `stars:>=${value}` : `created:${value}`;
+            const terms = this.searchInput.value.split(/\s+/).filter(Boolean);
+            const applied = terms.some(existing => existing.toLowerCase() === term);
+            // One qualifier per chart: replace a previous stars:/created: term
+            const kept = terms.filter(existing => !existing.toLowerCase().startsWith(`${type}:`));
+
+            this.searchInput.value = (applied ? kept : [...kept, term]).join(' ');
+            this.currentFilters.search = this.sanitizeSearch(this.searchInput.value);
+        }
 
-    getGitLabIcon() {
-        return `<svg viewBox="0 0 24 24" fill="currentColor">
-            <path d="M23.955 13.587l-1.342-4.135-2.664-8.189a.455.455 0 0 0-.867 0L16.418 9.45H7.582L4.919 1.263a.455.455 0 0 0-.867 0L1.388 9.452.045 13.587a.924.924 0 0 0 .331 1.023L12 23.054l11.624-8.443a.924.924 0 0 0 .331-1.024"/>
-        </svg>`;
+        this.applyFilters();
+        this.updateURL(true);
     }
 
     hideLoading() {
@@ -445,41 +1019,49 @@ class AllProjectsManager {
         this.hideLoading();
 
         // Build error message safely using DOM methods
+        this.cardList.reset();
         this.grid.textContent = '';
 
         const errorDiv = document.createElement('div');
         errorDiv.className = 'error-message';
 
         const title = document.createElement('h3');
-        title.textContent = this.t('projects.error.title', 'Unable to load projects');
+        title.textContent = window.i18n.tr('projects.error.title', 'Unable to load projects');
         errorDiv.appendChild(title);
 
         const message = document.createElement('p');
-        message.textContent = this.sanitizeText(error.message);
+        message.textContent = error.message;
         errorDiv.appendChild(message);
 
         const linksPara = document.createElement('p');
-        linksPara.textContent = this.t('projects.error.visitDirect', 'Visit my GitHub or GitLab directly.').split('GitHub')[0];
+        linksPara.textContent = window.i18n.tr('projects.error.visitProfiles', 'Visit my profiles directly:') + ' ';
 
-        const githubLink = document.createElement('a');
-        githubLink.href = `https://github.com/${this.githubUsername}`;
-        githubLink.target = '_blank';
-        githubLink.rel = 'noopener noreferrer';
-        githubLink.textContent = 'GitHub';
-        linksPara.appendChild(githubLink);
-
-        linksPara.appendChild(document.createTextNode(' or '));
+        this.providers.forEach((provider, index) => {
+            if (index > 0) {
+                linksPara.appendChild(document.createTextNode(', '));
+            }
 
-        const gitlabLink = document.createElement('a');
-        gitlabLink.href = `https://gitlab.com/${this.gitlabUsername}`;
-        gitlabLink.target = '_blank';
-        gitlabLink.rel = 'noopener noreferrer';
-        gitlabLink.textContent = 'GitLab';
-        linksPara.appendChild(gitlabLink);
+            const link = document.createElement('a');
+            link.href = provider.profileUrl;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = provider.label;
+            linksPara.appendChild(link);
+        });
 
-        linksPara.appendChild(document.createTextNode(' directly.'));
         errorDiv.appendChild(linksPara);
 
+        if (error.resetAt) {
+            const retry = document.createElement('p');
+            const countdown = new RateLimitCountdown(error.resetAt, () => {
+                if (this.loading) this.loading.classList.remove('hidden');
+                this.grid.textContent = '';
+                this.start();
+            });
+            retry.appendChild(countdown.start());
+            errorDiv.appendChild(retry);
+        }
+
         this.grid.appendChild(errorDiv);
     }
 }
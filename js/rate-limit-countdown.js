@@ -0,0 +1,64 @@
+// Rate Limit Countdown - live countdown to a forge's rate-limit reset
+// Shown in the project notices while listings are rate limited; calls back once it ends.
+(function() {
+    'use strict';
+
+    // Translated message with an English fallback (see I18nManager.tr)
+    const t = window.I18nManager.tr;
+
+    /**
+     * "Retrying automatically in 4:32." text that ticks down to resetAt (ms timestamp) and
+     * then calls onExpire. Stops by itself once its element leaves the document.
+     */
+    class RateLimitCountdown {
+        constructor(resetAt, onExpire) {
+            this.resetAt = resetAt;
+            this.onExpire = onExpire;
+            this.intervalId = null;
+
+            // role="timer" is not announced on every tick
+            this.element = document.createElement('span');
+            this.element.className = 'rate-limit-countdown';
+            this.element.setAttribute('role', 'timer');
+        }
+
+        /**
+         * Start ticking; returns the element to insert
+         */
+        start() {
+            this.stop();
+            this.tick();
+            this.intervalId = setInterval(() => this.tick(), 1000);
+            return this.element;
+        }
+
+        stop() {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+
+        tick() {
+            const remaining = Math.max(0, Math.ceil((this.resetAt - Date.now()) / 1000));
+
+            if (this.intervalId && !this.element.isConnected) {
+                this.stop();
+                return;
+            }
+
+            if (remaining === 0) {
+                this.stop();
+                this.element.textContent = t('projects.error.retrying', 'Retrying now...');
+                this.onExpire();
+                return;
+            }
+
+            const minutes = Math.floor(remaining / 60);
+            const seconds = String(remaining % 60).padStart(2, '0');
+            this.element.textContent = t('projects.error.retryIn', 'Retrying automatically in {time}.', {
+                time: `${minutes}:${seconds}`
+            });
+        }
+    }
+
+    window.RateLimitCountdown = RateLimitCountdown;
+})();
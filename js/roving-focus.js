@@ -0,0 +1,138 @@
+// Roving Focus - arrow key navigation between the items of a grid
+//
+// Only one item is in the tab order at a time (tabindex 0, the others -1), so Tab moves
+// past the whole grid in one step. Left/Right go to the previous/next item in document
+// order, Up/Down to the nearest item in the row above/below (by position on screen, so
+// it works for any column count and across grouped sections), Home/End to the first/last
+// (of the whole list when it is windowed, see options.reveal).
+(function() {
+    'use strict';
+
+    class RovingFocus {
+        /**
+         * container: element holding the items (listened to for key presses and focus)
+         * options.selector: focusable items inside the container
+         * options.getKey(item): stable key, so the active item survives re-renders
+         * options.reveal(edge): render the 'first' or 'last' item of a windowed list before
+         *                       Home/End look for it (KeyedList.scrollToIndex)
+         */
+        constructor(container, { selector, getKey, reveal = () => {} }) {
+            this.container = container;
+            this.selector = selector;
+            this.getKey = getKey;
+            this.reveal = reveal;
+            this.activeKey = null;
+
+            container.addEventListener('keydown', (e) => this.onKeydown(e));
+            container.addEventListener('focusin', (e) => {
+                const item = e.target.closest(this.selector);
+                if (item && this.container.contains(item)) {
+                    this.activeKey = this.getKey(item);
+                    this.refresh();
+                }
+            });
+        }
+
+        getItems() {
+            return Array.from(this.container.querySelectorAll(this.selector));
+        }
+
+        /**
+         * Put the active item (the first one if it is gone) in the tab order; call after
+         * every render
+         */
+        refresh() {
+            const items = this.getItems();
+            const active = items.find(item => this.getKey(item) === this.activeKey) || items[0];
+
+            items.forEach(item => {
+                item.tabIndex = item === active ? 0 : -1;
+            });
+        }
+
+        onKeydown(e) {
+            if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+
+            const current = e.target.closest(this.selector);
+            if (!current || current !== e.target) return;
+
+            let items = this.getItems();
+            const index = items.indexOf(current);
+            let target = null;
+
+            switch (e.key) {
+                case 'ArrowLeft':
+                    target = items[index - 1];
+                    break;
+                case 'ArrowRight':
+                    target = items[index + 1];
+                    break;
+                case 'ArrowUp':
+                    target = this.findInRow(items, current, -1);
+                    break;
+                case 'ArrowDown':
+                    target = this.findInRow(items, current, 1);
+                    break;
+                case 'Home':
+                    this.reveal('first');
+                    items = this.getItems();
+                    target = items[0];
+                    break;
+                case 'End':
+                    this.reveal('last');
+                    items = this.getItems();
+                    target = items[items.length - 1];
+                    break;
+                default:
+                    return;
+            }
+
+            // Keep the page from scrolling even at the edges of the grid
+            e.preventDefault();
+            if (!target) return;
+
+            this.activeKey = this.getKey(target);
+            this.refresh();
+            target.focus();
+            target.scrollIntoView({ block: 'nearest' });
+        }
+
+        /**
+         * Item in the closest row above (-1) or below (1) the current one, nearest to it
+         * horizontally
+         */
+        findInRow(items, current, direction) {
+            const from = current.getBoundingClientRect();
+            const center = from.left + from.width / 2;
+
+            let rowTop = null;
+            let best = null;
+            let bestDistance = Infinity;
+
+            items.forEach(item => {
+                const rect = item.getBoundingClientRect();
+                const offset = (rect.top - from.top) * direction;
+                // Items sharing the current row differ by less than a pixel or so
+                if (offset < 1) return;
+
+                if (rowTop === null || offset < rowTop - 1) {
+                    rowTop = offset;
+                    best = null;
+                    bestDistance = Infinity;
+                } else if (offset > rowTop + 1) {
+                    return;
+                }
+
+                const distance = Math.abs(rect.left + rect.width / 2 - center);
+                if (distance < bestDistance) {
+                    best = item;
+                    bestDistance = distance;
+                }
+            });
+
+            return best;
+        }
+    }
+
+    window.RovingFocus = RovingFocus;
+})();
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// Projects Snapshot Generator
+// Writes data/projects.json, the static fallback the project managers use when the
+// GitHub/GitLab APIs are rate limited, unreachable or time out.
+//
+// Usage:
+//   node scripts/build-projects-snapshot.js [--out <file>] [--fixtures <file>] [--allow-partial]
+//
+//   --out <file>       Output path (default: data/projects.json)
+//   --fixtures <file>  Replay recorded API responses instead of calling the live APIs
+//                      (see scripts/fixtures/api-responses.json for the format)
+//   --allow-partial    Write the snapshot even if a provider failed or a listing was cut short
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ProjectDataService } = require('../js/project-data.js');
+
+const DEFAULT_OUT = path.join(__dirname, '..', 'data', 'projects.json');
+
+function parseArgs(argv) {
+    const args = { out: DEFAULT_OUT, fixtures: null, allowPartial: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--out':
+                args.out = path.resolve(argv[++i]);
+                break;
+            case '--fixtures':
+                args.fixtures = path.resolve(argv[++i]);
+                break;
+            case '--allow-partial':
+                args.allowPartial = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    return args;
+}
+
+/**
+ * fetch() replacement that answers from recorded responses.
+ * The fixture file is an array of { url, status, headers, body } objects.
+ */
+function createFixtureFetch(file) {
+    const responses = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    return async (url) => {
+        const recorded = responses.find(response => response.url === url);
+        if (!recorded) {
+            return new Response(null, { status: 404 });
+        }
+
+        const status = recorded.status || 200;
+        const body = status === 304 ? null : JSON.stringify(recorded.body);
+        return new Response(body, { status, headers: recorded.headers || {} });
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const service = new ProjectDataService({
+        cache: null,
+        snapshotUrl: null,
+        fetch: args.fixtures ? createFixtureFetch(args.fixtures) : undefined
+    });
+
+    const { projects, failures, warnings } = await service.fetchAll();
+    const problems = [...failures, ...warnings];
+
+    problems.forEach(({ source, error }) => {
+        console.error(`${source}: ${error.message}`);
+    });
+
+    if (projects.length === 0 || (problems.length > 0 && !args.allowPartial)) {
+        console.error('Snapshot not written.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const snapshot = {
+        generated_at: new Date().toISOString(),
+        projects
+    };
+
+    fs.mkdirSync(path.dirname(args.out), { recursive: true });
+    fs.writeFileSync(args.out, JSON.stringify(snapshot, null, 2) + '\n');
+
+    console.log(`Wrote ${projects.length} projects to ${path.relative(process.cwd(), args.out)}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
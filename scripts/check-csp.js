@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Content-Security-Policy Checker
+// The project pages call every forge in PROJECT_SOURCES (js/project-data.js) from the
+// browser, so each API origin must be allowed by connect-src in the CSP <meta> of the
+// pages that list projects. A host missing there only shows up as a failed fetch in
+// the browser console; this reports it instead.
+//
+// Usage:
+//   node scripts/check-csp.js
+//
+// Exits with 1 if an API origin is not allowed.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ProjectDataService } = require('../js/project-data.js');
+
+const ROOT = path.join(__dirname, '..');
+const PAGES = ['index.html', 'projects.html'];
+
+const META_PATTERN = /<meta\s+http-equiv=["']Content-Security-Policy["']\s+content=(["'])(.*?)\1/is;
+
+/**
+ * Sources of a CSP directive ("connect-src 'self' https://a" -> ["'self'", "https://a"])
+ */
+function getDirective(policy, name) {
+    const directive = policy.split(';')
+        .map(part => part.trim().split(/\s+/))
+        .find(([directiveName]) => directiveName === name);
+    return directive ? directive.slice(1) : null;
+}
+
+/**
+ * Whether a CSP source list lets the page fetch from origin (scheme, host and wildcard
+ * host sources; paths and ports are not used by the forge APIs)
+ */
+function allows(sources, origin) {
+    const { protocol, host } = new URL(origin);
+
+    return sources.some(source => {
+        if (source === '*' || source === protocol) return true;
+
+        const match = source.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([^/:]+)/i);
+        if (!match || source.startsWith("'")) return false;
+
+        const [, scheme, wildcard, sourceHost] = match;
+        if (scheme && `${scheme}:` !== protocol) return false;
+        return wildcard ? host.endsWith(`.${sourceHost}`) : host === sourceHost;
+    });
+}
+
+function main() {
+    const origins = new Map();
+    new ProjectDataService().providers.forEach(provider => {
+        origins.set(new URL(provider.listUrl).origin, provider.label);
+    });
+
+    let errors = 0;
+
+    PAGES.forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const meta = html.match(META_PATTERN);
+        if (!meta) {
+            console.log(`${page}: no Content-Security-Policy meta tag`);
+            return;
+        }
+
+        const sources = getDirective(meta[2], 'connect-src') || getDirective(meta[2], 'default-src') || [];
+        const missing = [...origins].filter(([origin]) => !allows(sources, origin));
+        errors += missing.length;
+
+        console.log(`${page}: ${origins.size - missing.length}/${origins.size} API origins allowed`);
+        missing.forEach(([origin, label]) => {
+            console.log(`  missing      ${origin} (${label}) in connect-src`);
+        });
+    });
+
+    console.log(`\n${errors} errors`);
+    if (errors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { getDirective, allows };
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+// Translation Checker
+// Compares the translation keys used by the site with i18n/<code>.json for every
+// language in js/languages.js, and reports per language:
+//   missing       key used in HTML/JS or present in the default language, but not here (error)
+//   placeholders  message arguments differ from the default language's (error)
+//   unused        key here that nothing uses (warning)
+//
+// Keys are taken from data-i18n, data-i18n-placeholder, data-i18n-aria and
+// data-i18n-title attributes in *.html and articles/**/*.html (and in HTML built by
+// js/*.js), from t('...') and i18n.tr('...') calls in js/*.js and from the
+// [key, fallback] pairs that js/*.js translates later (e.g. ['projects.table.name', 'Name']).
+//
+// Usage:
+//   node scripts/check-translations.js
+//
+// Exits with 1 if there are errors.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+const ATTRIBUTE_PATTERN = /\bdata-i18n(?:-placeholder|-aria|-title)?=["']([^"'$]+)["']/g;
+const CALL_PATTERN = /\btr?\(\s*(['"])([\w.-]+)\1/g;
+const PAIR_PATTERN = /\[\s*(['"])([a-zA-Z]\w*(?:\.\w+)+)\1\s*,\s*['"`]/g;
+
+function loadLanguages() {
+    const context = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'js', 'languages.js'), 'utf8'), context);
+    return context.window.LANGUAGES;
+}
+
+function listFiles(dir, extension) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listFiles(file, extension);
+        return entry.name.endsWith(extension) ? [file] : [];
+    });
+}
+
+/**
+ * { key: [files] } for the keys used in HTML and JS
+ */
+function collectUsage() {
+    const used = new Map();
+    const add = (key, file) => {
+        if (!used.has(key)) used.set(key, new Set());
+        used.get(key).add(path.relative(ROOT, file));
+    };
+
+    const htmlFiles = [
+        ...fs.readdirSync(ROOT).filter(name => name.endsWith('.html')).map(name => path.join(ROOT, name)),
+        ...listFiles(path.join(ROOT, 'articles'), '.html')
+    ];
+    const jsFiles = listFiles(path.join(ROOT, 'js'), '.js');
+
+    htmlFiles.concat(jsFiles).forEach(file => {
+        const source = fs.readFileSync(file, 'utf8');
+        for (const match of source.matchAll(ATTRIBUTE_PATTERN)) add(match[1], file);
+    });
+
+    jsFiles.forEach(file => {
+        const source = fs.readFileSync(file, 'utf8');
+        for (const match of source.matchAll(CALL_PATTERN)) add(match[2], file);
+        for (const match of source.matchAll(PAIR_PATTERN)) add(match[2], file);
+    });
+
+    return used;
+}
+
+/**
+ * { "nav.about": "About", ... } from nested messages
+ */
+function flatten(messages, prefix = '', result = {}) {
+    Object.keys(messages).forEach(key => {
+        const value = messages[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, `${prefix}${key}.`, result);
+        } else {
+            result[prefix + key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Argument names of an ICU message, including those inside plural/select options
+ * ("{count, plural, one {# by {name}} other {...}}" -> count, name)
+ */
+function getArguments(message) {
+    const names = new Set();
+    // Drop quoted text ('{' and '' are not arguments)
+    const text = message.replace(/'(?:'|[{}#][^']*')/g, '');
+    let pos = 0;
+
+    function skipSpace() {
+        while (/\s/.test(text[pos] || '')) pos++;
+    }
+
+    function readUntil(stops) {
+        const start = pos;
+        while (pos < text.length && !stops.includes(text[pos])) pos++;
+        return text.slice(start, pos).trim();
+    }
+
+    // Message text up to the closing brace of the enclosing option (or the end)
+    function parseText() {
+        while (pos < text.length && text[pos] !== '}') {
+            if (text[pos] === '{') {
+                pos++;
+                parseArgument();
+            } else {
+                pos++;
+            }
+        }
+    }
+
+    function parseArgument() {
+        names.add(readUntil(',}'));
+        if (text[pos] === ',') {
+            pos++;
+            const type = readUntil(',}');
+            if (['plural', 'selectordinal', 'select'].includes(type) && text[pos] === ',') {
+                pos++;
+                skipSpace();
+                while (pos < text.length && text[pos] !== '}') {
+                    readUntil('{}');
+                    if (text[pos] !== '{') break;
+                    pos++;
+                    parseText();
+                    pos++;
+                    skipSpace();
+                }
+            } else {
+                readUntil('}');
+            }
+        }
+        pos++;
+    }
+
+    parseText();
+    return names;
+}
+
+function compareArguments(reference, message) {
+    const expected = getArguments(reference);
+    const actual = getArguments(message);
+    const missing = [...expected].filter(name => !actual.has(name));
+    const extra = [...actual].filter(name => !expected.has(name));
+
+    return [
+        missing.length > 0 ? `missing ${missing.map(name => `{${name}}`).join(', ')}` : '',
+        extra.length > 0 ? `unexpected ${extra.map(name => `{${name}}`).join(', ')}` : ''
+    ].filter(Boolean).join('; ');
+}
+
+function main() {
+    const { default: defaultLang, languages } = loadLanguages();
+    const used = collectUsage();
+
+    const locales = new Map();
+    let errors = 0;
+    let warnings = 0;
+
+    languages.forEach(({ code }) => {
+        const file = path.join(ROOT, 'i18n', `${code}.json`);
+        try {
+            locales.set(code, flatten(JSON.parse(fs.readFileSync(file, 'utf8'))));
+        } catch (error) {
+            console.error(`${code}: cannot read ${path.relative(ROOT, file)}: ${error.message}`);
+            errors++;
+        }
+    });
+
+    const reference = locales.get(defaultLang) || {};
+
+    locales.forEach((messages, code) => {
+        const problems = [];
+        const required = new Set([...used.keys(), ...Object.keys(reference)]);
+
+        [...required].sort().forEach(key => {
+            if (messages[key] === undefined) {
+                const files = used.has(key) ? ` (${[...used.get(key)].join(', ')})` : '';
+                problems.push(['error', 'missing', `${key}${files}`]);
+            }
+        });
+
+        Object.keys(messages).sort().forEach(key => {
+            const message = messages[key];
+
+            if (code !== defaultLang && typeof reference[key] === 'string' && typeof message === 'string') {
+                const difference = compareArguments(reference[key], message);
+                if (difference) problems.push(['error', 'placeholders', `${key}: ${difference}`]);
+            }
+
+            if (!used.has(key)) {
+                problems.push(['warning', 'unused', key]);
+            }
+        });
+
+        const counts = { error: 0, warning: 0 };
+        problems.forEach(([level]) => counts[level]++);
+        errors += counts.error;
+        warnings += counts.warning;
+
+        console.log(`${code}: ${Object.keys(messages).length} keys, ${counts.error} errors, ${counts.warning} warnings`);
+        problems.forEach(([, kind, detail]) => {
+            console.log(`  ${kind.padEnd(12)} ${detail}`);
+        });
+    });
+
+    console.log(`\n${errors} errors, ${warnings} warnings`);
+    if (errors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();
@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { getDirective, allows } = require('../scripts/check-csp.js');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('scripts/check-csp.js', () => {
+    describe('getDirective', () => {
+        const policy = "default-src 'self'; connect-src 'self' https://api.github.com  https://gitlab.com;";
+
+        it('lists the sources of a directive', () => {
+            assert.deepEqual(getDirective(policy, 'connect-src'), ["'self'", 'https://api.github.com', 'https://gitlab.com']);
+            assert.deepEqual(getDirective(policy, 'default-src'), ["'self'"]);
+        });
+
+        it('returns null for a missing directive', () => {
+            assert.equal(getDirective(policy, 'img-src'), null);
+        });
+    });
+
+    describe('allows', () => {
+        it('matches hosts exactly', () => {
+            assert.equal(allows(['https://api.github.com'], 'https://api.github.com'), true);
+            assert.equal(allows(['https://github.com'], 'https://api.github.com'), false);
+            assert.equal(allows(['https://api.github.com.evil.example'], 'https://api.github.com'), false);
+        });
+
+        it('matches wildcard subdomains but not the bare domain', () => {
+            assert.equal(allows(['https://*.github.com'], 'https://api.github.com'), true);
+            assert.equal(allows(['https://*.github.com'], 'https://github.com'), false);
+        });
+
+        it('checks the scheme when the source has one', () => {
+            assert.equal(allows(['http://codeberg.org'], 'https://codeberg.org'), false);
+            assert.equal(allows(['codeberg.org'], 'https://codeberg.org'), true);
+        });
+
+        it('accepts scheme sources and *', () => {
+            assert.equal(allows(['https:'], 'https://gitlab.example.org'), true);
+            assert.equal(allows(['*'], 'https://gitlab.example.org'), true);
+        });
+
+        it('ignores keywords', () => {
+            assert.equal(allows(["'self'", "'none'"], 'https://api.github.com'), false);
+        });
+    });
+
+    it('passes for the pages in this repository', () => {
+        const result = spawnSync(process.execPath, [path.join(ROOT, 'scripts', 'check-csp.js')], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            timeout: 30000
+        });
+
+        assert.equal(result.status, 0, result.stdout);
+        assert.match(result.stdout, /\n0 errors/);
+    });
+});
@@ -0,0 +1,77 @@
+// Test helpers shared by the data layer tests: an in-memory localStorage and a
+// fetch stub that answers from a table of URLs.
+'use strict';
+
+/**
+ * Minimal localStorage (getItem / setItem / removeItem / clear), installed on globalThis
+ * so ProjectCache and the read/write stores of ProjectDataService can use it from Node
+ */
+function installLocalStorage() {
+    const items = new Map();
+
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+
+    return globalThis.localStorage;
+}
+
+/**
+ * fetch() answering from routes: { url: response } where response is
+ * { status, headers, body }, a list of those (one per call, the last one repeats) or a
+ * function (url, init) returning one. Unknown URLs get a 404. fetch.calls records every
+ * { url, headers } requested.
+ */
+function createFetch(routes) {
+    const served = new Map();
+
+    const fetch = async (url, init = {}) => {
+        fetch.calls.push({ url, headers: { ...(init.headers || {}) } });
+
+        let route = routes[url];
+        if (typeof route === 'function') {
+            route = route(url, init);
+        } else if (Array.isArray(route)) {
+            const index = served.get(url) || 0;
+            served.set(url, index + 1);
+            route = route[Math.min(index, route.length - 1)];
+        }
+
+        if (!route) {
+            return new Response('Not Found', { status: 404 });
+        }
+        if (route instanceof Error) {
+            throw route;
+        }
+
+        const body = route.body === undefined || route.status === 304 ? null : JSON.stringify(route.body);
+        return new Response(body, { status: route.status || 200, headers: route.headers || {} });
+    };
+
+    fetch.calls = [];
+    return fetch;
+}
+
+/**
+ * GitHub repository as the listing API returns it
+ */
+function githubRepo(name, fields = {}) {
+    return {
+        name,
+        fork: false,
+        description: `${name} description`,
+        html_url: `https://github.com/octo/${name}`,
+        url: `https://api.github.com/repos/octo/${name}`,
+        topics: [],
+        language: 'Python',
+        stargazers_count: 0,
+        updated_at: '2026-01-01T00:00:00Z',
+        created_at: '2025-01-01T00:00:00Z',
+        ...fields
+    };
+}
+
+module.exports = { installLocalStorage, createFetch, githubRepo };
@@ -0,0 +1,66 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const I18nManager = require('../js/i18n.js');
+
+function format(message, values, lang = 'en') {
+    const i18n = new I18nManager({ detached: true });
+    i18n.currentLang = lang;
+    return i18n.format(message, values);
+}
+
+describe('I18nManager.format', () => {
+    const plural = '{count, plural, =0 {No projects} one {# project} other {# projects}}';
+
+    it('picks exact, then plural category, then other', () => {
+        assert.equal(format(plural, { count: 0 }), 'No projects');
+        assert.equal(format(plural, { count: 1 }), '1 project');
+        assert.equal(format(plural, { count: 1200 }), '1,200 projects');
+    });
+
+    it('uses the plural rules and number format of the current language', () => {
+        const message = '{count, plural, one {# projet} other {# projets}}';
+
+        assert.equal(format(message, { count: 0 }, 'fr'), '0 projet');
+        assert.equal(format(message, { count: 1500 }, 'fr'), '1\u202f500 projets');
+    });
+
+    it('formats selectordinal and select', () => {
+        const ordinal = '{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}';
+
+        assert.deepEqual([1, 2, 3, 11, 22].map(n => format(ordinal, { n })), ['1st', '2nd', '3rd', '11th', '22nd']);
+        assert.equal(format('{source, select, github {GitHub} other {another forge}}', { source: 'github' }), 'GitHub');
+        assert.equal(format('{source, select, github {GitHub} other {another forge}}', { source: 'gitlab' }), 'another forge');
+    });
+
+    it('replaces placeholders nested in options', () => {
+        assert.equal(format('{count, plural, one {# by {name}} other {# by {name}}}', { count: 2, name: 'Ada' }), '2 by Ada');
+    });
+
+    it('formats numbers', () => {
+        assert.equal(format('{stars, number}', { stars: 12345 }), '12,345');
+        assert.equal(format('{ratio, number, percent}', { ratio: 0.5 }), '50%');
+    });
+
+    it('unquotes literal braces and apostrophes', () => {
+        assert.equal(format("'{'literal'}' and It''s", {}), '{literal} and It\'s');
+    });
+
+    it('leaves placeholders without a value as written', () => {
+        assert.equal(format('{name} has {missing}', { name: 'Ada' }), 'Ada has {missing}');
+    });
+
+    it('shows invalid messages as they are', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+
+        assert.equal(format('{count, plural, one {x}}', { count: 1 }), '{count, plural, one {x}}');
+    });
+});
+
+describe('I18nManager.tr', () => {
+    it('formats the English fallback for unknown keys', () => {
+        assert.equal(I18nManager.tr('no.such.key', 'Hello {name}', { name: 'Ada' }), 'Hello Ada');
+    });
+});
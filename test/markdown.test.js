@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MarkdownRenderer = require('../js/markdown.js');
+
+describe('MarkdownRenderer', () => {
+    const render = source => new MarkdownRenderer().render(source);
+
+    it('escapes raw HTML blocks and inline tags', () => {
+        const html = render('<script>alert(1)</script>\n\n<img src=x onerror=alert(1)> and <b>bold</b>');
+
+        assert.doesNotMatch(html, /<script/i);
+        assert.doesNotMatch(html, /<img[^>]*onerror/i);
+        assert.doesNotMatch(html, /<b>/);
+        assert.match(html, /&lt;script&gt;/);
+    });
+
+    it('escapes HTML in code, tables and link text', () => {
+        const html = render('`<b>`\n\n```html\n<script>x</script>\n```\n\n| a |\n|---|\n| <i> |\n\n[<em>x</em>](https://example.org)');
+
+        assert.match(html, /<code>&lt;b&gt;<\/code>/);
+        assert.match(html, /<code class="language-html">&lt;script&gt;x&lt;\/script&gt;<\/code>/);
+        assert.match(html, /<td>&lt;i&gt;<\/td>/);
+        assert.doesNotMatch(html, /<em>x/);
+    });
+
+    it('drops javascript: and other unsafe link and image targets', () => {
+        const html = render('[click](javascript:alert(1)) ![x](JavaScript:alert(1)) [data](data:text/html,x) [ok](https://example.org)');
+
+        assert.doesNotMatch(html, /javascript:/i);
+        assert.doesNotMatch(html, /data:/);
+        assert.match(html, /<a href="https:\/\/example\.org">ok<\/a>/);
+    });
+
+    it('keeps mailto, relative and in-page links', () => {
+        const html = render('[m](mailto:a@example.org) [docs](docs/setup.md) [top](#install)');
+
+        assert.match(html, /href="mailto:a@example\.org"/);
+        assert.match(html, /href="docs\/setup\.md"/);
+        assert.match(html, /href="#install"/);
+    });
+
+    it('cannot break out of attributes', () => {
+        const html = render('[a](https://example.org/"onmouseover="alert(1)) ![b](x.png "t\\" onload=\\"alert(1)")');
+
+        assert.doesNotMatch(html, /"\s*on\w+=/i);
+    });
+
+    it('passes raw HTML through with allowHtml, for DOMPurify to sanitize', () => {
+        assert.equal(new MarkdownRenderer({ allowHtml: true }).render('<div>hi</div>'), '<div>hi</div>');
+    });
+});
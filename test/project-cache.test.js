@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installLocalStorage, createFetch, githubRepo } = require('./helpers.js');
+const { ProjectCache, ProjectDataService } = require('../js/project-data.js');
+
+const LIST_URL = 'https://api.github.com/users/octo/repos?per_page=100&sort=updated';
+
+function createService(fetch, options = {}) {
+    return new ProjectDataService({
+        sources: [{ type: 'github', username: 'octo' }],
+        fetch,
+        snapshotUrl: null,
+        overridesUrl: null,
+        maxRetries: 0,
+        ...options
+    });
+}
+
+// Let the background refresh started by load() settle
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('ProjectCache', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = installLocalStorage();
+    });
+
+    it('flattens the projects of every cached page', () => {
+        const cache = new ProjectCache(1000);
+        cache.set('github', [{ projects: [{ name: 'a' }] }, { projects: [{ name: 'b' }] }]);
+
+        assert.deepEqual(cache.get('github').projects.map(project => project.name), ['a', 'b']);
+    });
+
+    it('is fresh until the TTL has passed', (t) => {
+        const cache = new ProjectCache(1000);
+        cache.set('github', []);
+        const entry = cache.get('github');
+
+        assert.equal(cache.isFresh(entry), true);
+
+        t.mock.method(Date, 'now', () => entry.timestamp + 1000);
+        assert.equal(cache.isFresh(entry), false);
+    });
+
+    it('drops entries it cannot use', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        storage.setItem('projectsCache:github', JSON.stringify({ projects: [] }));
+
+        assert.equal(new ProjectCache(1000).get('github'), null);
+        assert.equal(storage.getItem('projectsCache:github'), null);
+    });
+});
+
+describe('ProjectDataService cache', () => {
+    beforeEach(() => {
+        installLocalStorage();
+    });
+
+    it('serves fresh entries without a request', async () => {
+        const fetch = createFetch({ [LIST_URL]: { body: [githubRepo('saxs')], headers: { ETag: '"v1"' } } });
+        const service = createService(fetch);
+
+        await service.fetchAll();
+        const { projects } = await service.fetchAll();
+
+        assert.equal(fetch.calls.length, 1);
+        assert.deepEqual(projects.map(project => project.name), ['saxs']);
+    });
+
+    it('revalidates expired pages and reuses them on 304', async (t) => {
+        const fetch = createFetch({
+            [LIST_URL]: [
+                { body: [githubRepo('saxs')], headers: { ETag: '"v1"', 'Last-Modified': 'Thu, 01 Jan 2026 00:00:00 GMT' } },
+                { status: 304 }
+            ]
+        });
+        const service = createService(fetch);
+        await service.fetchAll();
+
+        const { timestamp } = service.cache.get('github');
+        t.mock.method(Date, 'now', () => timestamp + service.CACHE_TTL);
+        const { projects, failures } = await service.fetchAll();
+
+        assert.equal(fetch.calls.length, 2);
+        assert.equal(fetch.calls[1].headers['If-None-Match'], '"v1"');
+        assert.equal(fetch.calls[1].headers['If-Modified-Since'], 'Thu, 01 Jan 2026 00:00:00 GMT');
+        assert.deepEqual(failures, []);
+        assert.deepEqual(projects.map(project => project.name), ['saxs']);
+    });
+
+    it('falls back to an expired entry when the refresh fails', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const fetch = createFetch({ [LIST_URL]: [{ body: [githubRepo('saxs')] }, { status: 500 }] });
+        const service = createService(fetch);
+        await service.fetchAll();
+
+        const { timestamp } = service.cache.get('github');
+        t.mock.method(Date, 'now', () => timestamp + service.CACHE_TTL);
+        const { projects, failures } = await service.fetchAll();
+
+        assert.deepEqual(failures, []);
+        assert.deepEqual(projects.map(project => project.name), ['saxs']);
+    });
+
+    it('resolves load() with cached projects and reports changes through onUpdate', async (t) => {
+        const fetch = createFetch({
+            [LIST_URL]: [{ body: [githubRepo('saxs')] }, { body: [githubRepo('saxs'), githubRepo('sans')] }]
+        });
+        const service = createService(fetch);
+        await service.fetchAll();
+
+        const { timestamp } = service.cache.get('github');
+        t.mock.method(Date, 'now', () => timestamp + service.CACHE_TTL);
+        const updates = [];
+        const result = await service.load({ onUpdate: update => updates.push(update) });
+
+        assert.deepEqual(result.projects.map(project => project.name), ['saxs']);
+        assert.equal(updates.length, 0);
+
+        await flush();
+        assert.equal(updates.length, 1);
+        assert.deepEqual(updates[0].projects.map(project => project.name), ['saxs', 'sans']);
+    });
+
+    it('does not call onUpdate when the refresh returns the same projects', async (t) => {
+        const fetch = createFetch({ [LIST_URL]: { body: [githubRepo('saxs')] } });
+        const service = createService(fetch);
+        await service.fetchAll();
+
+        const { timestamp } = service.cache.get('github');
+        t.mock.method(Date, 'now', () => timestamp + service.CACHE_TTL);
+        const updates = [];
+        await service.load({ onUpdate: update => updates.push(update) });
+        await flush();
+
+        assert.equal(fetch.calls.length, 2);
+        assert.equal(updates.length, 0);
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProjectDataService } = require('../js/project-data.js');
+const ProjectCardRenderer = require('../js/project-cards.js');
+const ProjectExporter = require('../js/project-export.js');
+
+function createExporter(author = 'Ada Lovelace') {
+    const service = new ProjectDataService({
+        sources: [{ type: 'github', username: 'octo' }, { type: 'gitlab', username: 'octo' }],
+        cache: null,
+        snapshotUrl: null,
+        overridesUrl: null
+    });
+    return new ProjectExporter({ renderer: new ProjectCardRenderer(service.providers), author });
+}
+
+function project(fields = {}) {
+    return {
+        source: 'github',
+        name: 'saxs',
+        description: 'Curve fitting',
+        html_url: 'https://github.com/octo/saxs',
+        topics: [],
+        stargazers_count: 3,
+        created_at: '2024-03-01T00:00:00Z',
+        updated_at: '2025-06-15T12:00:00Z',
+        ...fields
+    };
+}
+
+describe('ProjectExporter', () => {
+    describe('csv', () => {
+        it('quotes fields and neutralizes formula cells', () => {
+            const csv = createExporter().serialize('csv', [project({
+                name: '=HYPERLINK("x")',
+                description: 'Fits, "quickly"\nand well',
+                topics: ['a', 'b']
+            })]);
+            const [header, row] = csv.replace(/^\uFEFF/, '').split('\r\n');
+
+            assert.ok(csv.startsWith('\uFEFF'));
+            assert.equal(header, 'name,description,url,homepage,sources,language,topics,stars,created,updated');
+            assert.equal(row, `"'=HYPERLINK(""x"")","Fits, ""quickly""\nand well",https://github.com/octo/saxs,,GitHub,,a; b,3,2024-03-01,2025-06-15`);
+        });
+    });
+
+    describe('markdown', () => {
+        it('escapes pipes and brackets in cells', () => {
+            const markdown = createExporter().serialize('markdown', [project({ name: 'a[b]', description: 'x | y' })]);
+            const row = markdown.split('\n')[2];
+
+            assert.equal(row, '| [a\\[b\\]](https://github.com/octo/saxs) | x \\| y |  | 3 | 2025-06-15 |');
+        });
+
+        it('percent-encodes link targets that would end the link or the cell', () => {
+            const markdown = createExporter().serialize('markdown', [project({ html_url: 'https://example.org/a b(c)|d' })]);
+
+            assert.match(markdown, /\]\(https:\/\/example\.org\/a%20b%28c%29%7Cd\)/);
+        });
+    });
+
+    describe('bibtex', () => {
+        it('writes one date field and escapes special characters', () => {
+            const bibtex = createExporter().serialize('bibtex', [project({ description: '100% & more_' })]);
+
+            assert.equal(bibtex, [
+                '@software{lovelace2025saxs,',
+                '  title = {saxs},',
+                '  author = {Ada Lovelace},',
+                '  date = {2025-06-15},',
+                '  url = {https://github.com/octo/saxs},',
+                '  note = {100\\% \\& more\\_}',
+                '}',
+                ''
+            ].join('\n'));
+            assert.doesNotMatch(bibtex, /year =/);
+        });
+
+        it('builds keys for projects without a date and suffixes duplicates', () => {
+            const bibtex = createExporter().serialize('bibtex', [
+                project({ updated_at: null }),
+                project({ source: 'gitlab', updated_at: null })
+            ]);
+
+            assert.deepEqual(bibtex.match(/@software\{[^,]+/g), ['@software{lovelacesaxs', '@software{lovelacesaxsa']);
+            assert.doesNotMatch(bibtex, /date =/);
+        });
+    });
+
+    describe('cff', () => {
+        it('writes a CITATION.cff document per project', () => {
+            const cff = createExporter().serialize('cff', [project({ topics: ['physics'] }), project({ name: 'sans' })]);
+            const [first, second] = cff.split('\n---\n');
+
+            assert.match(first, /^cff-version: 1\.2\.0\n/);
+            assert.match(first, /\ntitle: "saxs"\n/);
+            assert.match(first, /\n {2}- name: "Ada Lovelace"\n/);
+            assert.match(first, /\ndate-released: 2025-06-15\n/);
+            assert.match(first, /\nkeywords:\n {2}- "physics"$/);
+            assert.match(second, /\ntitle: "sans"\n/);
+        });
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => createExporter().serialize('xml', []), /Unknown export format: xml/);
+    });
+});
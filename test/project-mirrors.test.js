@@ -0,0 +1,86 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProjectDataService } = require('../js/project-data.js');
+
+function mergeMirrors(projects, canonicalSource) {
+    const service = new ProjectDataService({
+        sources: [{ type: 'github', username: 'octo' }, { type: 'gitlab', username: 'octo' }, { type: 'codeberg', username: 'octo' }],
+        cache: null,
+        snapshotUrl: null,
+        overridesUrl: null
+    });
+    return service.mergeMirrors(projects, canonicalSource);
+}
+
+describe('ProjectDataService.mergeMirrors', () => {
+    it('merges copies with the same name and description', () => {
+        const merged = mergeMirrors([
+            { source: 'gitlab', name: 'SAXS_Reduction', description: 'Curve fitting', html_url: 'https://gitlab.com/octo/saxs', stargazers_count: 2, topics: ['physics'], created_at: '2024-01-01T00:00:00Z', updated_at: '2025-02-01T00:00:00Z' },
+            { source: 'github', name: 'saxs-reduction', description: 'curve  fitting', html_url: 'https://github.com/octo/saxs', stargazers_count: 3, topics: ['saxs', 'physics'], created_at: '2024-03-01T00:00:00Z', updated_at: '2025-01-01T00:00:00Z' },
+            { source: 'github', name: 'other', description: 'Curve fitting', html_url: 'https://github.com/octo/other' }
+        ]);
+
+        assert.equal(merged.length, 2);
+        const [project] = merged;
+        assert.equal(project.source, 'github');
+        assert.equal(project.html_url, 'https://github.com/octo/saxs');
+        assert.equal(project.stargazers_count, 5);
+        assert.deepEqual(project.topics, ['physics', 'saxs']);
+        assert.equal(project.created_at, '2024-01-01T00:00:00Z');
+        assert.equal(project.updated_at, '2025-02-01T00:00:00Z');
+        assert.deepEqual(project.mirrors, [
+            { source: 'gitlab', name: 'SAXS_Reduction', html_url: 'https://gitlab.com/octo/saxs', stargazers_count: 2 }
+        ]);
+    });
+
+    it('merges copies with the same name and homepage', () => {
+        const merged = mergeMirrors([
+            { source: 'github', name: 'saxs', homepage: 'https://example.org/saxs/' },
+            { source: 'gitlab', name: 'saxs', homepage: 'https://example.org/saxs' }
+        ]);
+
+        assert.equal(merged.length, 1);
+    });
+
+    it('merges a mirror pointing at its upstream, whatever its name', () => {
+        const merged = mergeMirrors([
+            { source: 'codeberg', name: 'saxs-mirror', html_url: 'https://codeberg.org/octo/saxs-mirror', mirror_of: 'https://github.com/octo/saxs.git' },
+            { source: 'github', name: 'saxs', html_url: 'https://github.com/octo/saxs' }
+        ]);
+
+        assert.equal(merged.length, 1);
+        assert.equal(merged[0].source, 'github');
+        assert.deepEqual(merged[0].mirrors.map(mirror => mirror.source), ['codeberg']);
+    });
+
+    it('keeps same-named projects apart when nothing else matches', () => {
+        const merged = mergeMirrors([
+            { source: 'github', name: 'notes', description: 'Lab notes' },
+            { source: 'gitlab', name: 'notes', description: 'Lecture notes' }
+        ]);
+
+        assert.equal(merged.length, 2);
+    });
+
+    it('never merges two projects from the same source', () => {
+        const merged = mergeMirrors([
+            { source: 'github', name: 'saxs', description: 'Curve fitting' },
+            { source: 'github', name: 'SAXS', description: 'Curve fitting' }
+        ]);
+
+        assert.equal(merged.length, 2);
+    });
+
+    it('keeps the copy from canonicalSource', () => {
+        const merged = mergeMirrors([
+            { source: 'github', name: 'saxs', description: 'Curve fitting' },
+            { source: 'gitlab', name: 'saxs', description: 'Curve fitting', language: 'Python' }
+        ], 'gitlab');
+
+        assert.equal(merged[0].source, 'gitlab');
+        assert.equal(merged[0].language, 'Python');
+        assert.deepEqual(merged[0].mirrors.map(mirror => mirror.source), ['github']);
+    });
+});
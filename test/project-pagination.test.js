@@ -0,0 +1,112 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installLocalStorage, createFetch, githubRepo } = require('./helpers.js');
+const { ProjectDataService } = require('../js/project-data.js');
+
+const LIST_URL = 'https://api.github.com/users/octo/repos?per_page=100&sort=updated';
+const PAGE_2 = 'https://api.github.com/user/1/repos?per_page=100&sort=updated&page=2';
+const PAGE_3 = 'https://api.github.com/user/1/repos?per_page=100&sort=updated&page=3';
+
+function link(next) {
+    return { Link: `<${next}>; rel="next"` };
+}
+
+function createService(fetch, options = {}) {
+    return new ProjectDataService({
+        sources: [{ type: 'github', username: 'octo' }],
+        fetch,
+        snapshotUrl: null,
+        overridesUrl: null,
+        maxRetries: 0,
+        ...options
+    });
+}
+
+describe('ProjectDataService pagination', () => {
+    beforeEach(() => {
+        installLocalStorage();
+    });
+
+    it('follows Link rel="next" through every page', async () => {
+        const fetch = createFetch({
+            [LIST_URL]: { body: [githubRepo('a')], headers: link(PAGE_2) },
+            [PAGE_2]: { body: [githubRepo('b')], headers: link(PAGE_3) },
+            [PAGE_3]: { body: [githubRepo('c')] }
+        });
+        const { projects, failures, warnings } = await createService(fetch).fetchAll();
+
+        assert.deepEqual(fetch.calls.map(call => call.url), [LIST_URL, PAGE_2, PAGE_3]);
+        assert.deepEqual(projects.map(project => project.name), ['a', 'b', 'c']);
+        assert.deepEqual(failures, []);
+        assert.deepEqual(warnings, []);
+    });
+
+    it('stops at maxPages', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const fetch = createFetch({
+            [LIST_URL]: { body: [githubRepo('a')], headers: link(PAGE_2) },
+            [PAGE_2]: { body: [githubRepo('b')], headers: link(PAGE_3) }
+        });
+        const { projects } = await createService(fetch, { maxPages: 2 }).fetchAll();
+
+        assert.equal(fetch.calls.length, 2);
+        assert.deepEqual(projects.map(project => project.name), ['a', 'b']);
+    });
+
+    it('does not follow links to another origin', async () => {
+        const fetch = createFetch({
+            [LIST_URL]: { body: [githubRepo('a')], headers: link('https://evil.example/repos?page=2') }
+        });
+        const { projects } = await createService(fetch).fetchAll();
+
+        assert.equal(fetch.calls.length, 1);
+        assert.deepEqual(projects.map(project => project.name), ['a']);
+    });
+
+    it('keeps the pages already loaded when a later page fails', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const fetch = createFetch({
+            [LIST_URL]: { body: [githubRepo('a')], headers: link(PAGE_2) },
+            [PAGE_2]: { status: 502 }
+        });
+        const service = createService(fetch);
+        const { projects, failures, warnings } = await service.fetchAll();
+
+        assert.deepEqual(projects.map(project => project.name), ['a']);
+        assert.deepEqual(failures, []);
+        assert.equal(warnings.length, 1);
+        assert.equal(warnings[0].source, 'github');
+        assert.match(warnings[0].error.message, /502/);
+
+        // Partial listings are fetched again next time
+        assert.equal(service.cache.get('github'), null);
+    });
+
+    it('fails the provider when the first page fails', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const fetch = createFetch({ [LIST_URL]: { status: 500 } });
+        const { projects, failures } = await createService(fetch).fetchAll();
+
+        assert.deepEqual(projects, []);
+        assert.equal(failures.length, 1);
+        assert.equal(failures[0].source, 'github');
+    });
+
+    it('revalidates each cached page with its own validators', async (t) => {
+        const fetch = createFetch({
+            [LIST_URL]: [{ body: [githubRepo('a')], headers: { ETag: '"p1"', ...link(PAGE_2) } }, { status: 304 }],
+            [PAGE_2]: [{ body: [githubRepo('b')], headers: { ETag: '"p2"' } }, { body: [githubRepo('c')], headers: { ETag: '"p2b"' } }]
+        });
+        const service = createService(fetch);
+        await service.fetchAll();
+
+        const { timestamp } = service.cache.get('github');
+        t.mock.method(Date, 'now', () => timestamp + service.CACHE_TTL);
+        const { projects } = await service.fetchAll();
+
+        assert.deepEqual(fetch.calls.slice(2).map(call => call.headers['If-None-Match']), ['"p1"', '"p2"']);
+        assert.deepEqual(projects.map(project => project.name), ['a', 'c']);
+    });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installLocalStorage, createFetch, githubRepo } = require('./helpers.js');
+const { ProjectDataService } = require('../js/project-data.js');
+
+const REPO_URL = 'https://api.github.com/repos/octo/saxs';
+const LIST_URL = 'https://api.github.com/users/octo/repos?per_page=100&sort=updated';
+
+// Service whose waits are recorded instead of slept
+function createService(t, fetch, options = {}) {
+    const service = new ProjectDataService({
+        sources: [{ type: 'github', username: 'octo' }],
+        fetch,
+        cache: null,
+        snapshotUrl: null,
+        overridesUrl: null,
+        ...options
+    });
+    service.delays = [];
+    t.mock.method(service, 'wait', async delay => {
+        service.delays.push(delay);
+    });
+    t.mock.method(console, 'warn', () => {});
+    return service;
+}
+
+describe('ProjectDataService.request', () => {
+    it('retries server errors and returns the first success', async (t) => {
+        const fetch = createFetch({ [REPO_URL]: [{ status: 503 }, { status: 502 }, { body: {} }] });
+        const service = createService(t, fetch);
+
+        const response = await service.request(REPO_URL);
+
+        assert.equal(response.status, 200);
+        assert.equal(fetch.calls.length, 3);
+        assert.equal(service.delays.length, 2);
+    });
+
+    it('gives up after maxRetries and returns the last response', async (t) => {
+        const fetch = createFetch({ [REPO_URL]: { status: 500 } });
+        const service = createService(t, fetch, { maxRetries: 2 });
+
+        const response = await service.request(REPO_URL);
+
+        assert.equal(response.status, 500);
+        assert.equal(fetch.calls.length, 3);
+    });
+
+    it('does not retry client errors', async (t) => {
+        const fetch = createFetch({ [REPO_URL]: { status: 403 } });
+        const service = createService(t, fetch);
+
+        assert.equal((await service.request(REPO_URL)).status, 403);
+        assert.equal(fetch.calls.length, 1);
+    });
+
+    it('waits for Retry-After seconds on 429', async (t) => {
+        const fetch = createFetch({ [REPO_URL]: [{ status: 429, headers: { 'Retry-After': '3' } }, { body: {} }] });
+        const service = createService(t, fetch);
+
+        assert.equal((await service.request(REPO_URL)).status, 200);
+        assert.deepEqual(service.delays, [3000]);
+    });
+
+    it('accepts Retry-After as an HTTP date', async (t) => {
+        const now = Date.parse('2026-01-01T00:00:00Z');
+        t.mock.method(Date, 'now', () => now);
+        const fetch = createFetch({
+            [REPO_URL]: [{ status: 503, headers: { 'Retry-After': 'Thu, 01 Jan 2026 00:00:05 GMT' } }, { body: {} }]
+        });
+        const service = createService(t, fetch);
+
+        await service.request(REPO_URL);
+        assert.deepEqual(service.delays, [5000]);
+    });
+
+    it('returns responses whose Retry-After exceeds maxRetryDelay without waiting', async (t) => {
+        const fetch = createFetch({ [REPO_URL]: { status: 429, headers: { 'Retry-After': '3600' } } });
+        const service = createService(t, fetch);
+
+        assert.equal((await service.request(REPO_URL)).status, 429);
+        assert.equal(fetch.calls.length, 1);
+        assert.deepEqual(service.delays, []);
+    });
+
+    it('backs off exponentially with full jitter', async (t) => {
+        t.mock.method(Math, 'random', () => 1);
+        const fetch = createFetch({ [REPO_URL]: { status: 500 } });
+        const service = createService(t, fetch, { maxRetries: 3, retryBaseDelay: 100 });
+
+        await service.request(REPO_URL);
+        assert.deepEqual(service.delays, [100, 200, 400]);
+    });
+
+    it('retries network errors, then rethrows', async (t) => {
+        const fetch = createFetch({ [REPO_URL]: new TypeError('fetch failed') });
+        const service = createService(t, fetch, { maxRetries: 1 });
+
+        await assert.rejects(service.request(REPO_URL), /fetch failed/);
+        assert.equal(fetch.calls.length, 2);
+    });
+});
+
+describe('ProjectDataService rate limits', () => {
+    beforeEach(() => {
+        installLocalStorage();
+    });
+
+    it('reports an exhausted GitHub quota with its reset time', async (t) => {
+        const resetAt = Date.parse('2026-01-01T01:00:00Z');
+        const fetch = createFetch({
+            [LIST_URL]: {
+                status: 403,
+                headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetAt / 1000) }
+            }
+        });
+        const service = createService(t, fetch);
+
+        const result = await service.load();
+
+        assert.equal(fetch.calls.length, 1);
+        assert.equal(result.failures.length, 1);
+        assert.equal(result.failures[0].error.rateLimited, true);
+        assert.equal(result.failures[0].error.resetAt, resetAt);
+        assert.equal(result.rateLimitReset, resetAt);
+    });
+
+    it('leaves rateLimitReset null for other failures', async (t) => {
+        const fetch = createFetch({ [LIST_URL]: { status: 404 } });
+        const result = await createService(t, fetch).load();
+
+        assert.equal(result.failures.length, 1);
+        assert.equal(result.rateLimitReset, null);
+    });
+
+    it('loads the listing once a short 429 has passed', async (t) => {
+        const fetch = createFetch({
+            [LIST_URL]: [{ status: 429, headers: { 'Retry-After': '1' } }, { body: [githubRepo('saxs')] }]
+        });
+        const service = createService(t, fetch);
+
+        const result = await service.load();
+
+        assert.deepEqual(service.delays, [1000]);
+        assert.deepEqual(result.failures, []);
+        assert.deepEqual(result.projects.map(project => project.name), ['saxs']);
+    });
+});
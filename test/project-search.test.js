@@ -0,0 +1,67 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ProjectSearch = require('../js/project-search.js');
+
+describe('ProjectSearch', () => {
+    describe('parse', () => {
+        it('reads qualifiers, negation and phrases', () => {
+            const terms = new ProjectSearch('topic:physics -lang:Python "neutron scattering" stars:>5 saxs').terms;
+
+            assert.deepEqual(terms.map(({ field, value, negate }) => ({ field, value, negate })), [
+                { field: 'topic', value: 'physics', negate: false },
+                { field: 'language', value: 'python', negate: true },
+                { field: 'text', value: 'neutron scattering', negate: false },
+                { field: 'stars', value: '>5', negate: false },
+                { field: 'text', value: 'saxs', negate: false }
+            ]);
+            assert.equal(terms[3].test(6), true);
+            assert.equal(terms[3].test(5), false);
+        });
+
+        it('treats unknown qualifiers as text and drops malformed ranges', () => {
+            const terms = new ProjectSearch('foo:bar stars:lots updated:soon').terms;
+
+            assert.deepEqual(terms.map(({ field, value }) => ({ field, value })), [
+                { field: 'text', value: 'foo:bar' }
+            ]);
+        });
+    });
+
+    describe('matches', () => {
+        const project = { name: 'saxs-reduction', description: 'Scattering curve fitting', topics: ['physics'] };
+
+        it('tolerates typos', () => {
+            assert.equal(new ProjectSearch('scatering').matches(project), true);
+        });
+
+        it('excludes negated terms', () => {
+            assert.equal(new ProjectSearch('topic:physics -saxs').matches(project), false);
+        });
+    });
+
+    describe('score', () => {
+        it('ranks name matches above description matches', () => {
+            const search = new ProjectSearch('saxs');
+
+            assert.ok(search.score({ name: 'saxs' }) > search.score({ name: 'other', description: 'saxs fits' }));
+        });
+    });
+
+    describe('getMatches', () => {
+        it('returns merged, sorted ranges', () => {
+            assert.deepEqual(new ProjectSearch('fit curve').getMatches('Curve fitting'), [[0, 5], [6, 9]]);
+            assert.deepEqual(new ProjectSearch('cur urve').getMatches('Curve'), [[0, 5]]);
+        });
+
+        it('maps ranges back when lowercasing changes the length', () => {
+            // "İ".toLowerCase() is two code units
+            assert.deepEqual(new ProjectSearch('stanbul saxs').getMatches('İstanbul SAXS'), [[1, 8], [9, 13]]);
+        });
+
+        it('highlights whole words matched with a typo', () => {
+            assert.deepEqual(new ProjectSearch('scatering').getMatches('Neutron scattering'), [[8, 18]]);
+        });
+    });
+});
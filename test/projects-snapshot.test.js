@@ -0,0 +1,142 @@
+'use strict';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installLocalStorage, createFetch, githubRepo } = require('./helpers.js');
+const { ProjectDataService } = require('../js/project-data.js');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT = path.join(ROOT, 'scripts', 'build-projects-snapshot.js');
+const FIXTURES = path.join(ROOT, 'scripts', 'fixtures', 'api-responses.json');
+
+const GITHUB_URL = 'https://api.github.com/users/octo/repos?per_page=100&sort=updated';
+const GITLAB_URL = 'https://gitlab.com/api/v4/users/octo/projects?per_page=100&order_by=updated_at';
+const SNAPSHOT_URL = 'https://example.org/data/projects.json';
+
+function buildSnapshot(...args) {
+    return spawnSync(process.execPath, [SCRIPT, ...args], { cwd: ROOT, encoding: 'utf8', timeout: 30000 });
+}
+
+describe('scripts/build-projects-snapshot.js', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-snapshot-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes every listing page from the fixtures', () => {
+        const out = path.join(dir, 'projects.json');
+        const result = buildSnapshot('--fixtures', FIXTURES, '--out', out);
+
+        assert.equal(result.status, 0, result.stderr);
+        const snapshot = JSON.parse(fs.readFileSync(out, 'utf8'));
+
+        assert.ok(!isNaN(Date.parse(snapshot.generated_at)));
+        assert.deepEqual(snapshot.projects.map(project => `${project.source}/${project.name}`), [
+            'github/saxs-reduction',
+            'github/wetting-image-pipeline',
+            'gitlab/mpdsc-analysis',
+            'gitlab/xrd-anova'
+        ]);
+    });
+
+    it('refuses to write a partial snapshot unless --allow-partial is given', () => {
+        const fixtures = path.join(dir, 'github-only.json');
+        const recorded = JSON.parse(fs.readFileSync(FIXTURES, 'utf8'));
+        fs.writeFileSync(fixtures, JSON.stringify(recorded.filter(response => response.url.includes('github'))));
+
+        const out = path.join(dir, 'partial.json');
+        const refused = buildSnapshot('--fixtures', fixtures, '--out', out);
+
+        assert.equal(refused.status, 1);
+        assert.match(refused.stderr, /gitlab: .*404/);
+        assert.equal(fs.existsSync(out), false);
+
+        const allowed = buildSnapshot('--fixtures', fixtures, '--out', out, '--allow-partial');
+
+        assert.equal(allowed.status, 0, allowed.stderr);
+        const { projects } = JSON.parse(fs.readFileSync(out, 'utf8'));
+        assert.deepEqual([...new Set(projects.map(project => project.source))], ['github']);
+    });
+
+    it('rejects unknown arguments', () => {
+        const result = buildSnapshot('--output', path.join(dir, 'x.json'));
+
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /Unknown argument: --output/);
+    });
+});
+
+describe('ProjectDataService snapshot fallback', () => {
+    const snapshot = {
+        generated_at: '2026-01-01T00:00:00.000Z',
+        projects: [
+            { name: 'old-github', source: 'github' },
+            { name: 'old-gitlab', source: 'gitlab' }
+        ]
+    };
+
+    function createService(routes) {
+        return new ProjectDataService({
+            sources: [{ type: 'github', username: 'octo' }, { type: 'gitlab', username: 'octo' }],
+            fetch: createFetch(routes),
+            cache: null,
+            snapshotUrl: SNAPSHOT_URL,
+            overridesUrl: null,
+            maxRetries: 0
+        });
+    }
+
+    beforeEach((t) => {
+        installLocalStorage();
+        t.mock.method(console, 'warn', () => {});
+    });
+
+    it('fills in failed providers only', async () => {
+        const service = createService({
+            [GITHUB_URL]: { body: [githubRepo('saxs')] },
+            [GITLAB_URL]: { status: 503 },
+            [SNAPSHOT_URL]: { body: snapshot }
+        });
+        const result = await service.fetchAll();
+
+        assert.deepEqual(result.projects.map(project => project.name), ['saxs', 'old-gitlab']);
+        assert.equal(result.failures.length, 1);
+        assert.equal(result.snapshot, snapshot.generated_at);
+    });
+
+    it('does not request the snapshot when every provider loaded', async () => {
+        const service = createService({
+            [GITHUB_URL]: { body: [githubRepo('saxs')] },
+            [GITLAB_URL]: { body: [] }
+        });
+        const result = await service.fetchAll();
+
+        assert.equal(result.snapshot, null);
+        assert.ok(!service.fetch.calls.some(call => call.url === SNAPSHOT_URL));
+    });
+
+    it('treats a missing snapshot as no fallback', async () => {
+        const service = createService({ [GITHUB_URL]: { status: 503 }, [GITLAB_URL]: { status: 503 } });
+        const result = await service.fetchAll();
+
+        assert.deepEqual(result.projects, []);
+        assert.equal(result.failures.length, 2);
+        assert.equal(result.snapshot, null);
+        assert.ok(!console.warn.mock.calls.some(call => String(call.arguments[0]).includes('snapshot')));
+    });
+
+    it('ignores a snapshot without a projects list', async () => {
+        const service = createService({ [SNAPSHOT_URL]: { body: { generated_at: snapshot.generated_at } } });
+
+        assert.equal(await service.loadSnapshot(), null);
+    });
+});